@@ -0,0 +1,93 @@
+/**
+ * @typedef { import('./types').ServiceCacheStore } ServiceCacheStore
+ * @typedef { import('./types').ResolverArgs } ResolverArgs
+ * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ */
+
+const { LRUCache } = require("./lru");
+
+const DEFAULT_CACHE_CAPACITY = 1000;
+
+/**
+ * In-memory store of the service results, the least recently used
+ * entries are evicted over the capacity and expired ones on reading.
+ *
+ * @implements { ServiceCacheStore }
+ */
+class MemoryCacheStore {
+  /**
+   * @param { number } [capacity=1000]
+   */
+  constructor(capacity = DEFAULT_CACHE_CAPACITY) {
+    /** @type { LRUCache<string, { value: Record<string, ResolverAvailableTypes>, expiresAt: number }> } */
+    this._entries = new LRUCache(capacity);
+  }
+
+  /**
+   * @param { string } key
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param { string } key
+   * @param { Record<string, ResolverAvailableTypes> } value
+   * @param { number } [ttl] milliseconds, the entry never expires without it
+   */
+  set(key, value, ttl) {
+    this._entries.set(key, {
+      value,
+      expiresAt: ttl === undefined ? Infinity : Date.now() + ttl,
+    });
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
+
+/**
+ * Copy of the value with the keys of its objects sorted at every level,
+ * the undefined fields are dropped as `JSON.stringify` does.
+ *
+ * @param { ResolverAvailableTypes } value
+ * @returns { ResolverAvailableTypes }
+ */
+function normalizeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  /** @type { Record<string, ResolverAvailableTypes> } */
+  const normalized = {};
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] !== undefined) {
+      normalized[key] = normalizeValue(value[key]);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Key of the service call, the same for the records which differ only
+ * by the order of their fields, nested objects included.
+ *
+ * @param { string } name
+ * @param { ResolverArgs } record
+ */
+function cacheKey(name, record) {
+  return `${name}:${JSON.stringify(normalizeValue(record))}`;
+}
+
+module.exports = { MemoryCacheStore, cacheKey };
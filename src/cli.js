@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * @typedef { import('./templater').TemplateInspection } TemplateInspection
+ * @typedef { import('./types').TemplateDiagnostic } TemplateDiagnostic
+ * @typedef { import('./types').VariableFallback } VariableFallback
+ * @typedef { import('./types').Variable } Variable
+ * @typedef { import('./graph').DependencyGraph } DependencyGraph
+ * @typedef { NonNullable<Parameters<typeof import('./templater').createResolver>[0]> } ResolverOptions
+ *
+ * @typedef Output
+ * @type { object }
+ * @property { (text: string) => void } out
+ * @property { (text: string) => void } err
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  createResolver,
+  createFileLoader,
+  TemplaterError,
+  TemplaterDiagnosticsError,
+  loadFixture,
+  saveFixture,
+} = require("./templater");
+const { toDot, toMermaid } = require("./graph");
+const { formatExpression } = require("./expression");
+
+const USAGE = `Usage: templater <command> <template> [options]
+
+Commands:
+  render <template> [views...]  render the views, all of them by default
+  check <template>              report errors and warnings of the template
+  inspect <template>            print variables, services and resolution order
+  graph <template> [views...]   print the dependency graph, marking what the views need
+
+Options:
+  --services <module>  module exporting (resolver) => void which registers services
+  --args <file>        JSON file with the arguments of the render
+  --record <file>      render: save the calls of the services into the JSON fixture
+  --replay <file>      render: answer the services from the JSON fixture
+  --stub               render: answer the services with placeholder values
+  --format <format>    render: json (default) or text, inspect: text (default) or json,
+                       graph: dot (default), mermaid or json
+  --help               print this message`;
+
+const OPTIONS_WITH_VALUE = ["services", "args", "format", "record", "replay"];
+const FLAGS = ["help", "stub"];
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+/**
+ * @param { string[] } argv
+ */
+function parseArgs(argv) {
+  /** @type { string[] } */
+  const positional = [];
+  /** @type { Record<string, string | true> } */
+  const options = {};
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (OPTIONS_WITH_VALUE.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`option --${name} requires a value`);
+      }
+      options[name] = value;
+    } else {
+      throw new UsageError(`unknown option --${name}`);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * @param { string } file template, its imports are relative to it
+ * @param { string | true | undefined } services path of the module registering the services
+ * @param { ResolverOptions } [options={}]
+ */
+function loadResolver(file, services, options = {}) {
+  const resolver = createResolver({
+    ...options,
+    collectErrors: true,
+    loader: createFileLoader(path.dirname(path.resolve(file))),
+  });
+  if (typeof services === "string") {
+    const loaded = require(path.resolve(services));
+    const register = typeof loaded === "function" ? loaded : loaded?.register;
+    if (typeof register !== "function") {
+      throw new UsageError(
+        `module ${services} must export a function registering the services`
+      );
+    }
+    register(resolver);
+  }
+  return resolver;
+}
+
+/**
+ * @param { string | true | undefined } file
+ */
+function loadArgs(file) {
+  if (typeof file !== "string") {
+    return {};
+  }
+  const args = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (args === null || typeof args !== "object" || Array.isArray(args)) {
+    throw new UsageError(`arguments in ${file} must be a JSON object`);
+  }
+  return args;
+}
+
+/**
+ * Service mode chosen by --record, --replay or --stub.
+ *
+ * @param { Record<string, string | true> } options
+ * @returns { ResolverOptions }
+ */
+function serviceOptions({ record, replay, stub }) {
+  const chosen = [record, replay, stub].filter((value) => value !== undefined);
+  if (chosen.length > 1) {
+    throw new UsageError(
+      "options --record, --replay and --stub exclude each other"
+    );
+  }
+  if (typeof replay === "string") {
+    return { serviceMode: "replay", fixture: loadFixture(replay) };
+  }
+  if (record !== undefined) {
+    return { serviceMode: "record" };
+  }
+  return stub ? { serviceMode: "stub" } : {};
+}
+
+/**
+ * `file:line:column: severity code message` followed by the excerpt.
+ *
+ * @param { string } file the compiled template, the diagnostic may point into an imported one
+ * @param { TemplateDiagnostic } diagnostic
+ */
+function formatDiagnostic(
+  file,
+  { code, severity, message, line, column, excerpt, ...diagnostic }
+) {
+  const where = diagnostic.file ?? file;
+  const position = line === undefined ? where : `${where}:${line}:${column}`;
+  const head = `${position}: ${severity} ${code} ${message}`;
+  return excerpt ? `${head}\n${excerpt}` : head;
+}
+
+/**
+ * @param { string } file
+ * @param { unknown } error
+ * @param { Output } output
+ */
+function reportError(file, error, { err }) {
+  if (error instanceof TemplaterDiagnosticsError) {
+    for (const item of error.errors) {
+      err(formatDiagnostic(file, item.toDiagnostic()));
+    }
+  } else if (error instanceof TemplaterError) {
+    err(formatDiagnostic(file, error.toDiagnostic()));
+  } else {
+    err(`${file}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param { string } file
+ * @param { string } template
+ * @param { string[] } views
+ * @param { Record<string, string | true> } options
+ * @param { Output } output
+ */
+async function render(file, template, views, options, { out }) {
+  const format = options.format ?? "json";
+  if (format !== "json" && format !== "text") {
+    throw new UsageError(`unknown format "${format}" of render`);
+  }
+  const resolver = loadResolver(
+    file,
+    options.services,
+    serviceOptions(options)
+  );
+  const compiled = resolver.compile(template);
+  const names = views.length > 0 ? views : Object.keys(compiled.regions);
+  const rendered = await compiled.render(names, {
+    args: loadArgs(options.args),
+  });
+  if (typeof options.record === "string") {
+    saveFixture(options.record, resolver.fixture);
+  }
+  if (format === "json") {
+    out(JSON.stringify(rendered, null, 2));
+    return EXIT_OK;
+  }
+  for (const name of names) {
+    out(
+      names.length > 1 ? `==> ${name} <==\n${rendered[name]}` : rendered[name]
+    );
+  }
+  return EXIT_OK;
+}
+
+/**
+ * @param { string } file
+ * @param { string } template
+ * @param { Record<string, string | true> } options
+ * @param { Output } output
+ */
+function check(file, template, options, { out }) {
+  const diagnostics = loadResolver(file, options.services).check(template);
+  for (const diagnostic of diagnostics) {
+    out(formatDiagnostic(file, diagnostic));
+  }
+  return diagnostics.some(({ severity }) => severity === "error")
+    ? EXIT_ERROR
+    : EXIT_OK;
+}
+
+/**
+ * @param { string } file
+ * @param { string } template
+ * @param { Record<string, string | true> } options
+ * @param { Output } output
+ */
+function inspect(file, template, options, { out }) {
+  const format = options.format ?? "text";
+  if (format !== "json" && format !== "text") {
+    throw new UsageError(`unknown format "${format}" of inspect`);
+  }
+  const inspection = loadResolver(file, options.services).inspect(template);
+  out(
+    format === "json"
+      ? JSON.stringify(inspection, null, 2)
+      : formatInspection(inspection)
+  );
+  return EXIT_OK;
+}
+
+/**
+ * @param { string } file
+ * @param { string } template
+ * @param { string[] } views
+ * @param { Record<string, string | true> } options
+ * @param { Output } output
+ */
+function graph(file, template, views, options, { out }) {
+  const format = options.format ?? "dot";
+  const formatters = {
+    dot: toDot,
+    mermaid: toMermaid,
+    json: (/** @type { DependencyGraph } */ graph) =>
+      JSON.stringify(graph, null, 2),
+  };
+  if (format !== "dot" && format !== "mermaid" && format !== "json") {
+    throw new UsageError(`unknown format "${format}" of graph`);
+  }
+  const built = loadResolver(file, options.services).graph(template, {
+    views: views.length > 0 ? views : undefined,
+  });
+  out(formatters[format](built));
+  return EXIT_OK;
+}
+
+/**
+ * @param { TemplateInspection } inspection
+ */
+function formatInspection({ variables, services, views, order, args }) {
+  /** @param { Variable | VariableFallback } source */
+  const describe = (source) =>
+    source.type === "const"
+      ? `'${source.constant}'`
+      : source.type === "ref"
+        ? `${source.fieldKey} <- @${source.service}`
+        : source.type === "expr"
+          ? formatExpression(source.expression)
+          : `$${source.variableName}`;
+
+  const lines = [];
+  if (args) {
+    lines.push("arguments:");
+    for (const { name, type, required, ...declaration } of args) {
+      const value =
+        "default" in declaration
+          ? ` = ${JSON.stringify(declaration.default)}`
+          : "";
+      const optional = required || value ? "" : "?";
+      lines.push(`  ${name}${optional}: ${type}${value}`);
+    }
+  }
+  lines.push("variables:");
+  for (const variable of variables) {
+    const sources = [variable, ...(variable.fallbacks || [])].map(describe);
+    lines.push(`  $${variable.name} = ${sources.join(" ?? ")}`);
+  }
+  lines.push("services:");
+  for (const { key, name, dependencies, parents, guard, fanOut } of services) {
+    const args = dependencies
+      .map(({ name, variableName }) => `${name} = $${variableName};`)
+      .join(" ");
+    const after = parents.length
+      ? ` (after ${parents.map((key) => `@${key}`).join(", ")})`
+      : "";
+    const when = guard ? ` when ${formatExpression(guard)}` : "";
+    lines.push(
+      `  @${key} = ${name}${fanOut ? "[]" : ""}${
+        args ? ` { ${args} }` : ""
+      }${when}${after}`
+    );
+  }
+  lines.push("views:");
+  for (const { name, render } of views) {
+    lines.push(`  #view(${name})[${render}]`);
+  }
+  lines.push("resolution order:");
+  order.forEach((level, i) => {
+    lines.push(`  ${i + 1}. ${level.map((key) => `@${key}`).join(", ")}`);
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Runs the command and resolves with the exit status.
+ *
+ * @param { string[] } argv arguments after the name of the script
+ * @param { Output } [output]
+ */
+async function main(
+  argv,
+  output = {
+    out: (text) => process.stdout.write(text + "\n"),
+    err: (text) => process.stderr.write(text + "\n"),
+  }
+) {
+  let file = "";
+  try {
+    const { positional, options } = parseArgs(argv);
+    const [command, templateFile, ...views] = positional;
+    if (options.help) {
+      output.out(USAGE);
+      return EXIT_OK;
+    }
+    if (!command || !templateFile) {
+      throw new UsageError("command and template are required");
+    }
+    file = templateFile;
+    const template = fs.readFileSync(file, "utf8");
+    switch (command) {
+      case "render":
+        return await render(file, template, views, options, output);
+      case "check":
+        return check(file, template, options, output);
+      case "inspect":
+        return inspect(file, template, options, output);
+      case "graph":
+        return graph(file, template, views, options, output);
+      default:
+        throw new UsageError(`unknown command "${command}"`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      output.err(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    reportError(file, error, output);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((status) => {
+    process.exitCode = status;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,135 @@
+/**
+ * @typedef { import('./types').ResolverArgs } ResolverArgs
+ * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ *
+ * @typedef { Record<string, ResolverAvailableTypes> } ResultRecord
+ *
+ * @typedef BatchCall
+ * @type { (records: ResolverArgs[], signal: AbortSignal, onAttempt: (attempt: number) => void) => Promise<ResultRecord[]> }
+ *
+ * @typedef BatchEntry
+ * @type { object }
+ * @property { ResolverArgs[] } records
+ * @property { (result: ResultRecord[]) => void } resolve
+ * @property { (error: unknown) => void } reject
+ * @property { (attempt: number) => void } [onAttempt]
+ * @property { boolean } aborted
+ *
+ * @typedef Batch
+ * @type { object }
+ * @property { string } name
+ * @property { BatchCall } call
+ * @property { BatchEntry[] } entries
+ * @property { AbortController } controller aborts the batch call
+ * @property { boolean } flushed
+ */
+
+const { ERROR_CODES, TemplaterError } = require("./diagnostics");
+const { cacheKey } = require("./cache");
+
+/**
+ * Gathers the calls of the same service made by the concurrent renders
+ * within the window into a single call with the unique records.
+ */
+class Coalescer {
+  /**
+   * @param { object } [options]
+   * @param { number } [options.window=0] milliseconds to wait for more calls, one tick by default
+   */
+  constructor({ window = 0 } = {}) {
+    this.window = window;
+    /** @type { Map<unknown, Batch> } */
+    this._batches = new Map();
+  }
+
+  /**
+   * Adds the records to the pending batch of the service and resolves
+   * with the results of these records once the batch is called.
+   *
+   * @param { unknown } service the batches are gathered by, the registered service
+   * @param { ResolverArgs[] } records
+   * @param { object } props
+   * @param { string } props.name name of the service for the error messages
+   * @param { BatchCall } props.call calls the service with the records of the batch
+   * @param { AbortSignal } [props.signal] leaves the batch, the batch call is aborted when every render has left it
+   * @param { (attempt: number) => void } [props.onAttempt]
+   * @returns { Promise<ResultRecord[]> }
+   */
+  load(service, records, { name, call, signal, onAttempt }) {
+    return new Promise((resolve, reject) => {
+      let batch = this._batches.get(service);
+      if (!batch) {
+        /** @type { Batch } */
+        const created = {
+          name,
+          call,
+          entries: [],
+          controller: new AbortController(),
+          flushed: false,
+        };
+        this._batches.set(service, created);
+        setTimeout(() => this._flush(service, created), this.window);
+        batch = created;
+      }
+      const current = batch;
+      const { entries, controller } = current;
+      /** @type { BatchEntry } */
+      const entry = { records, resolve, reject, onAttempt, aborted: false };
+      entries.push(entry);
+      signal?.addEventListener("abort", () => {
+        entry.aborted = true;
+        if (current.flushed && entries.every(({ aborted }) => aborted)) {
+          controller.abort();
+        }
+      });
+    });
+  }
+
+  /**
+   * @param { unknown } service
+   * @param { Batch } batch
+   * @private
+   */
+  _flush(service, batch) {
+    this._batches.delete(service);
+    batch.flushed = true;
+    const { name, call, controller } = batch;
+    const entries = batch.entries.filter(({ aborted }) => !aborted);
+    if (entries.length === 0) {
+      return;
+    }
+
+    /** @type { Map<string, number> } */
+    const indexes = new Map();
+    /** @type { ResolverArgs[] } */
+    const unique = [];
+    const keys = entries.map(({ records }) =>
+      records.map((record) => {
+        const key = cacheKey(name, record);
+        if (!indexes.has(key)) {
+          indexes.set(key, unique.length);
+          unique.push(record);
+        }
+        return key;
+      })
+    );
+
+    call(unique, controller.signal, (attempt) =>
+      entries.forEach(({ onAttempt }) => onAttempt?.(attempt))
+    )
+      .then((result) => {
+        if (result.length !== unique.length) {
+          throw new TemplaterError("wrong result from resolver", {
+            code: ERROR_CODES.SERVICE_RESULT,
+          });
+        }
+        entries.forEach(({ resolve }, i) =>
+          // @ts-ignore
+          resolve(keys[i].map((key) => result[indexes.get(key)]))
+        );
+      })
+      .catch((error) => entries.forEach(({ reject }) => reject(error)));
+  }
+}
+
+module.exports = { Coalescer };
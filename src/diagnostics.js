@@ -0,0 +1,265 @@
+/**
+ * @typedef { import('./types').SourceLocation } SourceLocation
+ * @typedef { import('./types').TemplateDiagnostic } TemplateDiagnostic
+ */
+
+const REGEXP_NEW_LINE = /\r?\n/;
+
+/**
+ * Stable codes of the errors raised by the templater.
+ */
+const ERROR_CODES = Object.freeze({
+  UNKNOWN: "E_UNKNOWN",
+  MULTIPLE_ERRORS: "E_MULTIPLE_ERRORS",
+  DATA_REGION_NOT_FOUND: "E_DATA_REGION_NOT_FOUND",
+  DATA_REGION_DUPLICATE: "E_DATA_REGION_DUPLICATE",
+  DATA_REGION_HEAD: "E_DATA_REGION_HEAD",
+  ARGS_REGION_ORDER: "E_ARGS_REGION_ORDER",
+  ARGS_REGION_DUPLICATE: "E_ARGS_REGION_DUPLICATE",
+  ARGS_REGION_HEAD: "E_ARGS_REGION_HEAD",
+  INVALID_ARGUMENT: "E_INVALID_ARGUMENT",
+  UNKNOWN_ARGUMENT: "E_UNKNOWN_ARGUMENT",
+  ARGUMENT_MISSING: "E_ARGUMENT_MISSING",
+  ARGUMENT_TYPE: "E_ARGUMENT_TYPE",
+  VIEW_REGION_NOT_FOUND: "E_VIEW_REGION_NOT_FOUND",
+  VIEW_REGION_ORDER: "E_VIEW_REGION_ORDER",
+  VIEW_REGION_HEAD: "E_VIEW_REGION_HEAD",
+  VIEW_NOT_FOUND: "E_VIEW_NOT_FOUND",
+  INVALID_CONCURRENCY: "E_INVALID_CONCURRENCY",
+  INVALID_IDENTIFIER: "E_INVALID_IDENTIFIER",
+  INTERNAL_IDENTIFIER: "E_INTERNAL_IDENTIFIER",
+  INVALID_VARIABLE: "E_INVALID_VARIABLE",
+  INVALID_FALLBACK: "E_INVALID_FALLBACK",
+  INVALID_SERVICE: "E_INVALID_SERVICE",
+  SERVICE_NOT_IMPLEMENTED: "E_SERVICE_NOT_IMPLEMENTED",
+  SERVICE_SYSTEM: "E_SERVICE_SYSTEM",
+  SERVICE_MISSING_ARGUMENT: "E_SERVICE_MISSING_ARGUMENT",
+  SERVICE_ARGUMENT_TYPE: "E_SERVICE_ARGUMENT_TYPE",
+  SERVICE_RESULT: "E_SERVICE_RESULT",
+  SERVICE_FAN_OUT: "E_SERVICE_FAN_OUT",
+  SERVICE_OUTPUT_TYPE: "E_SERVICE_OUTPUT_TYPE",
+  UNKNOWN_FIELD: "E_UNKNOWN_FIELD",
+  COMPILED_TEMPLATE_VERSION: "E_COMPILED_TEMPLATE_VERSION",
+  UNKNOWN_SERVICE: "E_UNKNOWN_SERVICE",
+  UNKNOWN_VARIABLE: "E_UNKNOWN_VARIABLE",
+  UNDEFINED_PLACEHOLDER: "E_UNDEFINED_PLACEHOLDER",
+  INVALID_PLACEHOLDER: "E_INVALID_PLACEHOLDER",
+  UNCLOSED_BLOCK: "E_UNCLOSED_BLOCK",
+  UNKNOWN_FILTER: "E_UNKNOWN_FILTER",
+  FILTER_NAME: "E_FILTER_NAME",
+  UNKNOWN_RENDERER: "E_UNKNOWN_RENDERER",
+  RENDERER_NAME: "E_RENDERER_NAME",
+  HOOK_EVENT: "E_HOOK_EVENT",
+  INVALID_FIXTURE: "E_INVALID_FIXTURE",
+  FIXTURE_MISSING: "E_FIXTURE_MISSING",
+  FUNCTION_NAME: "E_FUNCTION_NAME",
+  UNKNOWN_FUNCTION: "E_UNKNOWN_FUNCTION",
+  FUNCTION_ARITY: "E_FUNCTION_ARITY",
+  FUNCTION_FAILED: "E_FUNCTION_FAILED",
+  FUNCTION_ASYNC: "E_FUNCTION_ASYNC",
+  SERVICE_UNKNOWN_ARGUMENT: "E_SERVICE_UNKNOWN_ARGUMENT",
+  DEPENDENCY_CYCLE: "E_DEPENDENCY_CYCLE",
+  SERVICE_FAILED: "E_SERVICE_FAILED",
+  SERVICE_TIMEOUT: "E_SERVICE_TIMEOUT",
+  SERVICE_ABORTED: "E_SERVICE_ABORTED",
+  INVALID_IMPORT: "E_INVALID_IMPORT",
+  IMPORT_LOADER: "E_IMPORT_LOADER",
+  IMPORT_NOT_FOUND: "E_IMPORT_NOT_FOUND",
+  IMPORT_CONFLICT: "E_IMPORT_CONFLICT",
+  IMPORT_CYCLE: "E_IMPORT_CYCLE",
+  UNUSED_VARIABLE: "W_UNUSED_VARIABLE",
+  UNUSED_SERVICE: "W_UNUSED_SERVICE",
+});
+
+class Source {
+  /**
+   * @param { string } text
+   */
+  constructor(text) {
+    this.text = text;
+    this.lines = text.split(REGEXP_NEW_LINE);
+  }
+
+  /**
+   * Formats the line of the location with a caret under the column.
+   *
+   * @param { SourceLocation } location
+   */
+  excerpt({ line, column }) {
+    const text = this.lines[line - 1];
+    if (text === undefined) {
+      return "";
+    }
+    const gutter = String(line);
+    const padding = " ".repeat(gutter.length);
+    const caret = " ".repeat(Math.max(column - 1, 0)) + "^";
+    return `${gutter} | ${text}\n${padding} | ${caret}`;
+  }
+}
+
+class TemplaterError extends Error {
+  /**
+   * @param { string } message
+   * @param { object } [options]
+   * @param { string } [options.code]
+   * @param { SourceLocation } [options.location]
+   * @param { Source } [options.source]
+   */
+  constructor(message, { code = ERROR_CODES.UNKNOWN, location, source } = {}) {
+    const excerpt = location && source ? source.excerpt(location) : "";
+    super(TemplaterError.format(message, location, excerpt));
+    this.name = "TemplaterError";
+    this.code = code;
+    this.reason = message;
+    this.line = location?.line;
+    this.column = location?.column;
+    this.file = location?.file;
+    this.excerpt = excerpt;
+  }
+
+  /**
+   * @param { TemplateDiagnostic["severity"] } [severity="error"]
+   * @returns { TemplateDiagnostic }
+   */
+  toDiagnostic(severity = "error") {
+    return {
+      code: this.code,
+      severity,
+      message: this.reason,
+      line: this.line,
+      column: this.column,
+      file: this.file,
+      excerpt: this.excerpt,
+    };
+  }
+
+  /**
+   * @param { string } message
+   * @param { SourceLocation } [location]
+   * @param { string } [excerpt]
+   */
+  static format(message, location, excerpt) {
+    if (!location) {
+      return message;
+    }
+    const file = location.file ? `${location.file}, ` : "";
+    const position = `${message} (${file}line ${location.line}, column ${location.column})`;
+    return excerpt ? `${position}\n${excerpt}` : position;
+  }
+}
+
+class TemplaterDiagnosticsError extends TemplaterError {
+  /**
+   * @param { TemplaterError[] } errors
+   */
+  constructor(errors) {
+    super(
+      [
+        `template has ${errors.length} error(s)`,
+        ...errors.map((error) => error.message),
+      ].join("\n\n"),
+      { code: ERROR_CODES.MULTIPLE_ERRORS }
+    );
+    this.name = "TemplaterDiagnosticsError";
+    this.errors = errors;
+  }
+}
+
+class TemplaterServiceError extends TemplaterError {
+  /**
+   * @param { string } message
+   * @param { object } props
+   * @param { string } props.service key of the failed service in the template
+   * @param { unknown } props.cause
+   * @param { unknown[] } [props.report] reports on the services at the moment of the failure
+   */
+  constructor(message, { service, cause, report = [] }) {
+    super(cause instanceof Error ? `${message} - ${cause.message}` : message, {
+      code: ERROR_CODES.SERVICE_FAILED,
+    });
+    this.name = "TemplaterServiceError";
+    this.service = service;
+    this.cause = cause;
+    this.report = report;
+  }
+}
+
+/**
+ * Service call stopped by its timeout (`SERVICE_TIMEOUT`) or by the abort
+ * signal of the render (`SERVICE_ABORTED`). Unlike the other templater
+ * errors it is a failure of the service and follows the failure policy.
+ */
+class TemplaterAbortError extends TemplaterError {
+  /**
+   * @param { string } message
+   * @param { object } props
+   * @param { string } props.code
+   */
+  constructor(message, { code }) {
+    super(message, { code });
+    this.name = "TemplaterAbortError";
+  }
+}
+
+/**
+ * Either throws reported errors right away or, in the collecting mode,
+ * accumulates them to be thrown together by `throwIfAny`.
+ */
+class Diagnostics {
+  /**
+   * @param { boolean } [collect=false]
+   */
+  constructor(collect = false) {
+    this.collect = collect;
+    /** @type { TemplaterError[] } */
+    this.errors = [];
+  }
+
+  /**
+   * @param { TemplaterError } error
+   */
+  report(error) {
+    if (!this.collect) {
+      throw error;
+    }
+    this.errors.push(error);
+  }
+
+  /**
+   * Runs the callback and reports the templater error thrown by it.
+   *
+   * @template T
+   * @param { () => T } callback
+   */
+  guard(callback) {
+    try {
+      return callback();
+    } catch (error) {
+      if (!(error instanceof TemplaterError)) {
+        throw error;
+      }
+      this.report(error);
+    }
+  }
+
+  throwIfAny() {
+    if (this.errors.length === 0) {
+      return;
+    }
+    const errors = [...this.errors].sort(
+      (a, b) =>
+        (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0)
+    );
+    throw new TemplaterDiagnosticsError(errors);
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  Source,
+  Diagnostics,
+  TemplaterError,
+  TemplaterDiagnosticsError,
+  TemplaterServiceError,
+  TemplaterAbortError,
+};
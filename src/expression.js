@@ -0,0 +1,375 @@
+/**
+ * @typedef { import('./types').Expression } Expression
+ * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ *
+ * @typedef { { available: boolean, value: ResolverAvailableTypes } } Evaluated
+ *
+ * @typedef Scope
+ * @type { object }
+ * @property { (name: string) => Evaluated } read value of the variable
+ * @property { (name: string, args: ResolverAvailableTypes[]) => ResolverAvailableTypes } call
+ *  calls the registered function
+ */
+
+const { readPath, FIELD_SEPARATOR } = require("./view");
+
+const VARIABLE_CHAR = "$";
+const CONCAT = "+";
+const CALL_OPEN = "(";
+const CALL_CLOSE = ")";
+const CALL_SEPARATOR = ",";
+const COMPARE_OPERATORS = ["==", "!="];
+const INTERPOLATION_OPEN = "${";
+const INTERPOLATION_CLOSE = "}";
+
+const REGEXP_VARIABLE_NAME = /^[a-z][a-z_]*(:[a-z][a-z_]*)*(\.([a-z_]+|\d+))*/;
+const REGEXP_FUNCTION_NAME = /^[a-z][a-z_0-9]*(?=\s*\()/;
+const REGEXP_SPACES = /^\s*/;
+
+/**
+ * Parses the value of a variable - `'text'` literals, `"text ${name}"`
+ * interpolated strings, `$name.field` variables and `name($arg, ...)`
+ * function calls joined by `+`, two of them may be compared by `==`
+ * or `!=`.
+ *
+ * @param { string } text
+ * @returns { Expression }
+ */
+function parseExpression(text) {
+  let rest = text;
+  const skipSpaces = () => {
+    rest = rest.replace(REGEXP_SPACES, "");
+  };
+
+  /** @returns { Expression } */
+  const takeVariable = () => {
+    const match = REGEXP_VARIABLE_NAME.exec(rest);
+    if (!match) {
+      throw new Error("expected variable name");
+    }
+    rest = rest.slice(match[0].length);
+    return toVariable(match[0]);
+  };
+
+  /** @returns { Expression } */
+  const takeLiteral = () => {
+    const end = rest.indexOf("'", 1);
+    if (end === -1) {
+      throw new Error("unterminated string");
+    }
+    const value = rest.slice(1, end);
+    rest = rest.slice(end + 1);
+    return { type: "literal", value };
+  };
+
+  /** @returns { Expression } */
+  const takeTemplate = () => {
+    /** @type { Expression[] } */
+    const parts = [];
+    let value = "";
+    const flush = () => {
+      if (value) {
+        parts.push({ type: "literal", value });
+        value = "";
+      }
+    };
+    for (let i = 1; i < rest.length; ++i) {
+      const char = rest[i];
+      if (char === "\\" && i + 1 < rest.length) {
+        value += rest[++i];
+      } else if (char === '"') {
+        rest = rest.slice(i + 1);
+        flush();
+        return parts.length === 1 && parts[0].type === "literal"
+          ? parts[0]
+          : { type: "concat", parts };
+      } else if (rest.startsWith(INTERPOLATION_OPEN, i)) {
+        const close = rest.indexOf(INTERPOLATION_CLOSE, i);
+        const name = rest
+          .slice(
+            i + INTERPOLATION_OPEN.length,
+            close === -1 ? undefined : close
+          )
+          .trim();
+        const match = REGEXP_VARIABLE_NAME.exec(name);
+        if (close === -1 || !match || match[0] !== name) {
+          throw new Error(
+            `expected "${INTERPOLATION_OPEN}name${INTERPOLATION_CLOSE}"`
+          );
+        }
+        flush();
+        parts.push(toVariable(name));
+        i = close;
+      } else {
+        value += char;
+      }
+    }
+    throw new Error("unterminated string");
+  };
+
+  /** @returns { Expression } */
+  const takeOperand = () => {
+    skipSpaces();
+    if (rest.startsWith("'")) {
+      return takeLiteral();
+    }
+    if (rest.startsWith('"')) {
+      return takeTemplate();
+    }
+    if (rest.startsWith(VARIABLE_CHAR)) {
+      rest = rest.slice(VARIABLE_CHAR.length);
+      return takeVariable();
+    }
+    const call = REGEXP_FUNCTION_NAME.exec(rest);
+    if (call) {
+      rest = rest.slice(call[0].length);
+      return takeCall(call[0]);
+    }
+    throw new Error("expected a string, a variable or a function call");
+  };
+
+  /**
+   * @param { string } name
+   * @returns { Expression }
+   */
+  const takeCall = (name) => {
+    skipSpaces();
+    rest = rest.slice(CALL_OPEN.length);
+    skipSpaces();
+    /** @type { Expression[] } */
+    const args = [];
+    while (!rest.startsWith(CALL_CLOSE)) {
+      if (args.length > 0) {
+        if (!rest.startsWith(CALL_SEPARATOR)) {
+          throw new Error(`expected "${CALL_SEPARATOR}" or "${CALL_CLOSE}"`);
+        }
+        rest = rest.slice(CALL_SEPARATOR.length);
+      }
+      args.push(takeComparison());
+      if (rest === "") {
+        throw new Error(`expected "${CALL_CLOSE}"`);
+      }
+    }
+    rest = rest.slice(CALL_CLOSE.length);
+    return { type: "call", name, args };
+  };
+
+  /** @returns { Expression } */
+  const takeConcat = () => {
+    const operands = [takeOperand()];
+    skipSpaces();
+    while (rest.startsWith(CONCAT)) {
+      rest = rest.slice(CONCAT.length);
+      operands.push(takeOperand());
+      skipSpaces();
+    }
+    return operands.length === 1
+      ? operands[0]
+      : { type: "concat", parts: operands };
+  };
+
+  /** @returns { Expression } */
+  const takeComparison = () => {
+    const left = takeConcat();
+    const operator = COMPARE_OPERATORS.find((operator) =>
+      rest.startsWith(operator)
+    );
+    if (!operator) {
+      return left;
+    }
+    rest = rest.slice(operator.length);
+    // @ts-ignore
+    return { type: "compare", operator, left, right: takeConcat() };
+  };
+
+  const expression = takeComparison();
+  if (rest !== "") {
+    throw new Error(`unexpected "${rest}"`);
+  }
+  return expression;
+}
+
+/**
+ * Value of the expression, unavailable when any of its variables is.
+ * The parts of a concatenation are joined as text.
+ *
+ * @param { Expression } expression
+ * @param { Scope } scope
+ * @returns { Evaluated }
+ */
+function evaluateExpression(expression, scope) {
+  if (expression.type === "literal") {
+    return { available: true, value: expression.value };
+  }
+  if (expression.type === "variable") {
+    const { available, value } = scope.read(expression.name);
+    return {
+      available,
+      value: /** @type { ResolverAvailableTypes } */ (
+        readPath(value, expression.path)
+      ),
+    };
+  }
+  /** @type { ResolverAvailableTypes[] } */
+  const values = [];
+  for (const operand of operandsOf(expression)) {
+    const result = evaluateExpression(operand, scope);
+    if (!result.available) {
+      return { available: false, value: undefined };
+    }
+    values.push(result.value);
+  }
+  if (expression.type === "call") {
+    return { available: true, value: scope.call(expression.name, values) };
+  }
+  if (expression.type === "compare") {
+    const equal = toText(values[0]) === toText(values[1]);
+    return {
+      available: true,
+      value: expression.operator === "==" ? equal : !equal,
+    };
+  }
+  return { available: true, value: values.map(toText).join("") };
+}
+
+/**
+ * Names of the variables the expression refers to.
+ *
+ * @param { Expression } expression
+ * @returns { string[] }
+ */
+function expressionVariables(expression) {
+  if (expression.type === "variable") {
+    return [expression.name];
+  }
+  if (expression.type === "literal") {
+    return [];
+  }
+  /** @type { string[] } */
+  const names = [];
+  for (const part of operandsOf(expression)) {
+    for (const name of expressionVariables(part)) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Copy of the expression with the variables renamed.
+ *
+ * @param { Expression } expression
+ * @param { (name: string) => string } rename
+ * @returns { Expression }
+ */
+function renameExpressionVariables(expression, rename) {
+  if (expression.type === "variable") {
+    return { ...expression, name: rename(expression.name) };
+  }
+  if (expression.type === "literal") {
+    return expression;
+  }
+  if (expression.type === "call") {
+    return {
+      ...expression,
+      args: expression.args.map((arg) =>
+        renameExpressionVariables(arg, rename)
+      ),
+    };
+  }
+  if (expression.type === "compare") {
+    return {
+      ...expression,
+      left: renameExpressionVariables(expression.left, rename),
+      right: renameExpressionVariables(expression.right, rename),
+    };
+  }
+  return {
+    type: "concat",
+    parts: expression.parts.map((part) =>
+      renameExpressionVariables(part, rename)
+    ),
+  };
+}
+
+/**
+ * Function calls of the expression, the nested ones included.
+ *
+ * @param { Expression } expression
+ * @returns { { name: string, args: Expression[] }[] }
+ */
+function expressionCalls(expression) {
+  /** @type { { name: string, args: Expression[] }[] } */
+  const calls = expression.type === "call" ? [expression] : [];
+  for (const operand of operandsOf(expression)) {
+    calls.push(...expressionCalls(operand));
+  }
+  return calls;
+}
+
+/**
+ * @param { Expression } expression
+ * @returns { string }
+ */
+function formatExpression(expression) {
+  if (expression.type === "literal") {
+    return `'${expression.value}'`;
+  }
+  if (expression.type === "variable") {
+    return [`${VARIABLE_CHAR}${expression.name}`, ...expression.path].join(
+      FIELD_SEPARATOR
+    );
+  }
+  if (expression.type === "compare") {
+    return `${formatExpression(expression.left)} ${
+      expression.operator
+    } ${formatExpression(expression.right)}`;
+  }
+  if (expression.type === "call") {
+    return `${expression.name}${CALL_OPEN}${expression.args
+      .map(formatExpression)
+      .join(`${CALL_SEPARATOR} `)}${CALL_CLOSE}`;
+  }
+  return expression.parts.map(formatExpression).join(` ${CONCAT} `);
+}
+
+/**
+ * @param { Expression } expression
+ * @returns { Expression[] }
+ */
+function operandsOf(expression) {
+  switch (expression.type) {
+    case "call":
+      return expression.args;
+    case "concat":
+      return expression.parts;
+    case "compare":
+      return [expression.left, expression.right];
+    default:
+      return [];
+  }
+}
+
+/**
+ * @param { string } text name of the variable followed by the fields
+ * @returns { Expression }
+ */
+function toVariable(text) {
+  const [name, ...path] = text.split(FIELD_SEPARATOR);
+  return { type: "variable", name, path };
+}
+
+/** @param { unknown } value */
+const toText = (value) =>
+  value === undefined || value === null ? "" : String(value);
+
+module.exports = {
+  parseExpression,
+  evaluateExpression,
+  expressionVariables,
+  renameExpressionVariables,
+  expressionCalls,
+  formatExpression,
+};
@@ -0,0 +1,67 @@
+/**
+ * @typedef { import('./view').Filter } Filter
+ */
+
+/** @param { unknown } value */
+const toText = (value) => (value === undefined ? "" : String(value));
+
+/** @param { number } value */
+const pad = (value) => ("0" + value).slice(-2);
+
+/**
+ * Filters available in the view placeholders of every resolver,
+ * e.g. `{{tags | join(", ")}}`.
+ *
+ * @type { Record<string, Filter> }
+ */
+const BUILTIN_FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => toText(value).trim(),
+  truncate: (value, length = 80, suffix = "...") => {
+    const text = toText(value);
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+  join: (value, separator = ", ") =>
+    Array.isArray(value) ? value.join(separator) : toText(value),
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  last: (value) => (Array.isArray(value) ? value[value.length - 1] : value),
+  length: (value) =>
+    Array.isArray(value) ? value.length : toText(value).length,
+  default: (value, fallback = "") =>
+    value === undefined || value === null || value === "" ? fallback : value,
+  replace: (value, search, replacement = "") =>
+    toText(value).split(String(search)).join(String(replacement)),
+  /**
+   * Formats the date in UTC, supported tokens: YYYY, MM, DD, HH, mm, ss.
+   * Numbers are milliseconds since the epoch.
+   */
+  date: (value, format = "YYYY-MM-DD") => {
+    const date =
+      value instanceof Date
+        ? value
+        : new Date(typeof value === "number" ? value : toText(value));
+    if (isNaN(date.getTime())) {
+      return toText(value);
+    }
+    /** @type { Record<string, string> } */
+    const tokens = {
+      YYYY: String(date.getUTCFullYear()),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds()),
+    };
+    return String(format).replace(
+      /YYYY|MM|DD|HH|mm|ss/g,
+      (token) => tokens[token]
+    );
+  },
+};
+
+module.exports = { BUILTIN_FILTERS };
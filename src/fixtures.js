@@ -0,0 +1,252 @@
+/**
+ * @typedef { import('./types').ResolverArgs } ResolverArgs
+ * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ * @typedef { import('./types').ServiceOutputModel } ServiceOutputModel
+ * @typedef { import('./types').ValueType } ValueType
+ *
+ * @typedef { "live" | "record" | "replay" | "stub" } ServiceMode
+ *
+ * @typedef { Record<string, ResolverAvailableTypes> } ResultRecord
+ *
+ * @typedef { ResultRecord[] | Promise<ResultRecord[]> } CallbackResult
+ *
+ * @typedef FixtureCall
+ * @type { object }
+ * @property { string } service name of the registered service
+ * @property { ResolverArgs } args record the service was called with
+ * @property { ResultRecord } result
+ *
+ * @typedef SerializedFixture
+ * @type { object }
+ * @property { number } version
+ * @property { FixtureCall[] } calls
+ */
+
+const fs = require("fs");
+const { ERROR_CODES, TemplaterError } = require("./diagnostics");
+const { cacheKey } = require("./cache");
+
+const FIXTURE_VERSION = 1;
+const PATH_SEPARATOR = ".";
+
+/**
+ * Results of the service calls by the records they were called with.
+ */
+class ServiceFixture {
+  constructor() {
+    /** @type { Map<string, FixtureCall> } */
+    this._calls = new Map();
+  }
+
+  get size() {
+    return this._calls.size;
+  }
+
+  /**
+   * @param { string } service
+   * @param { ResolverArgs } args
+   * @returns { ResultRecord | undefined }
+   */
+  find(service, args) {
+    return this._calls.get(cacheKey(service, args))?.result;
+  }
+
+  /**
+   * Keeps the result, the previous one of the same record is replaced.
+   *
+   * @param { string } service
+   * @param { ResolverArgs } args
+   * @param { ResultRecord } result
+   */
+  record(service, args, result) {
+    this._calls.set(cacheKey(service, args), { service, args, result });
+  }
+
+  /**
+   * @returns { SerializedFixture }
+   */
+  toJSON() {
+    return { version: FIXTURE_VERSION, calls: [...this._calls.values()] };
+  }
+
+  /**
+   * @param { unknown } json
+   */
+  static fromJSON(json) {
+    /** @param { unknown } value */
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    /** @type { SerializedFixture } */
+    // @ts-ignore
+    const serialized = json;
+    if (!isObject(json) || serialized.version !== FIXTURE_VERSION) {
+      throw new TemplaterError(
+        `unsupported fixture version "${isObject(json) ? serialized.version : undefined}"`,
+        { code: ERROR_CODES.INVALID_FIXTURE }
+      );
+    }
+    const fixture = new ServiceFixture();
+    /** @type { unknown[] } */
+    const calls = Array.isArray(serialized.calls) ? serialized.calls : [null];
+    calls.forEach((item, i) => {
+      /** @type { FixtureCall } */
+      // @ts-ignore
+      const call = item;
+      if (
+        !isObject(call) ||
+        typeof call.service !== "string" ||
+        !isObject(call.args) ||
+        !isObject(call.result)
+      ) {
+        throw new TemplaterError(
+          `call ${i} of the fixture must have service, args and result`,
+          { code: ERROR_CODES.INVALID_FIXTURE }
+        );
+      }
+      fixture.record(call.service, call.args, call.result);
+    });
+    return fixture;
+  }
+}
+
+/**
+ * @param { string } file
+ */
+function loadFixture(file) {
+  return ServiceFixture.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * @param { string } file
+ * @param { ServiceFixture } fixture
+ */
+function saveFixture(file, fixture) {
+  fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+/**
+ * Callback answering in the mode instead of the registered one. The
+ * recording callback calls the registered one and keeps its results,
+ * the replaying one answers from the fixture and the stub one with the
+ * placeholder values.
+ *
+ * @template E
+ * @param { string } name
+ * @param { ((records: ResolverArgs[], execution: E) => CallbackResult) | undefined } registered
+ *  callback of the registered service, absent when the service is not registered
+ * @param { object } props
+ * @param { Exclude<ServiceMode, "live"> } props.mode
+ * @param { ServiceFixture } props.fixture
+ * @param { ServiceOutputModel } [props.output] output model of the registered service
+ * @param { string[] } props.fields paths of the fields the template reads, stubbed when
+ *  the service has no output model
+ * @returns { (records: ResolverArgs[], execution: E) => CallbackResult }
+ */
+function fixtureCallback(name, registered, { mode, fixture, output, fields }) {
+  if (mode === "stub") {
+    return (records) => records.map(() => stubRecord(output, fields));
+  }
+  if (mode === "replay") {
+    return (records) =>
+      records.map((record) => {
+        const result = fixture.find(name, record);
+        if (result === undefined) {
+          throw new TemplaterError(
+            `fixture has no result of service ${name} called with ${JSON.stringify(
+              record
+            )}`,
+            { code: ERROR_CODES.FIXTURE_MISSING }
+          );
+        }
+        return result;
+      });
+  }
+  if (!registered) {
+    throw new TemplaterError(
+      `service "${name}" has no implementation to record`,
+      { code: ERROR_CODES.SERVICE_NOT_IMPLEMENTED }
+    );
+  }
+  return async (records, execution) => {
+    const result = await registered(records, execution);
+    if (Array.isArray(result) && result.length === records.length) {
+      records.forEach((record, i) => fixture.record(name, record, result[i]));
+    }
+    return result;
+  };
+}
+
+/**
+ * Record with the placeholder values of the fields of the output model,
+ * or of the given fields as strings when there is no model. Strings are
+ * `<path>`, numbers 0, booleans false and lists have a single element.
+ *
+ * @param { ServiceOutputModel | undefined } model
+ * @param { string[] } fields
+ * @returns { ResultRecord }
+ */
+function stubRecord(model, fields) {
+  if (model) {
+    return stubObject(model, []);
+  }
+  /** @type { ResultRecord } */
+  const record = {};
+  for (const field of fields) {
+    const path = field.split(PATH_SEPARATOR);
+    /** @type { Record<string, any> } */
+    let current = record;
+    path.slice(0, -1).forEach((key) => {
+      if (current[key] === null || typeof current[key] !== "object") {
+        current[key] = {};
+      }
+      current = current[key];
+    });
+    current[path[path.length - 1]] = `<${field}>`;
+  }
+  return record;
+}
+
+/**
+ * @param { ServiceOutputModel } model
+ * @param { string[] } prefix path of the model in the record
+ * @returns { ResultRecord }
+ */
+function stubObject(model, prefix) {
+  /** @type { ResultRecord } */
+  const record = {};
+  for (const key of Object.keys(model)) {
+    const field = model[key];
+    const path = [...prefix, key];
+    record[key] = Array.isArray(field)
+      ? stubValue(field[0], path.join(PATH_SEPARATOR))
+      : stubObject(field, path);
+  }
+  return record;
+}
+
+/**
+ * @param { ValueType } type
+ * @param { string } path
+ * @returns { ResolverAvailableTypes }
+ */
+function stubValue(type, path) {
+  const list = type.endsWith("[]");
+  const element = list ? type.slice(0, -2) : type;
+  /** @type { ResolverAvailableTypes } */
+  const value =
+    element === "string"
+      ? `<${path}>`
+      : element === "number"
+        ? 0
+        : element === "boolean"
+          ? false
+          : {};
+  return list ? [value] : value;
+}
+
+module.exports = {
+  ServiceFixture,
+  loadFixture,
+  saveFixture,
+  fixtureCallback,
+};
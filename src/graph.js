@@ -0,0 +1,248 @@
+/**
+ * @typedef { import('./types').Service } Service
+ * @typedef { import('./types').Variable } Variable
+ * @typedef { import('./types').ArgumentDeclaration } ArgumentDeclaration
+ *
+ * @typedef GraphNode
+ * @type { object }
+ * @property { string } id `@key` of the service or `$name` of the variable or the argument
+ * @property { "service" | "arguments" | "constant" | "alias" | "expression" } kind
+ * @property { string } label
+ * @property { number } [level] depth of the service in the resolution order
+ * @property { boolean } [used] whether the views need the node, only when the views are given
+ *
+ * @typedef GraphEdge
+ * @type { object }
+ * @property { string } from
+ * @property { string } to
+ * @property { string } variable name of the variable passing the value
+ * @property { string } [field] field of the service result
+ * @property { string } [argument] argument of the service, none for the edges to the aliases
+ * @property { string } label
+ *
+ * @typedef DependencyGraph
+ * @type { object }
+ * @property { GraphNode[] } nodes
+ * @property { GraphEdge[] } edges
+ *
+ * @typedef { { node: string, field?: string } } Source
+ */
+
+const { expressionVariables, formatExpression } = require("./expression");
+
+/** label of the edges to the services from the variables of their `when` clauses */
+const GUARD_ARGUMENT = "when";
+
+/**
+ * Graph of the services of the template and the values passed between
+ * them through the variables.
+ *
+ * @param { object } props
+ * @param { { variables: Map<string, Variable>, services: Map<string, Service>, args?: ArgumentDeclaration[] } } props.context
+ * @param { Service[][] } props.queueResolving
+ * @param { string[] } [props.systemServices=[]] names of the services provided by the resolver itself
+ * @param { { variables: Set<string>, services: Set<string> } } [props.used] declarations needed by the views
+ * @returns { DependencyGraph }
+ */
+function buildGraph({ context, queueResolving, systemServices = [], used }) {
+  /** @type { Map<string, GraphNode> } */
+  const nodes = new Map();
+  /** @type { Map<string, GraphEdge> } */
+  const edges = new Map();
+
+  /** @param { GraphNode } node */
+  const addNode = (node) => {
+    if (!nodes.has(node.id)) {
+      nodes.set(node.id, node);
+    }
+  };
+  /** @param { Source } source @param { string } to @param { string } variable @param { string } [argument] */
+  const addEdge = ({ node, field }, to, variable, argument) => {
+    const label =
+      field && argument
+        ? `${field} → ${argument}`
+        : (field ?? argument ?? `$${variable}`);
+    const key = `${node}\n${to}\n${label}`;
+    if (!edges.has(key)) {
+      edges.set(key, { from: node, to, variable, field, argument, label });
+    }
+  };
+
+  queueResolving.forEach((level, index) => {
+    for (const { key, name, fanOut } of level) {
+      addNode({
+        id: `@${key}`,
+        kind: systemServices.includes(name) ? "arguments" : "service",
+        label: `@${key}\n${name}${fanOut ? "[]" : ""}`,
+        level: index,
+        used: used && used.services.has(key),
+      });
+    }
+  });
+
+  /**
+   * @param { string } name
+   * @returns { Source[] }
+   */
+  const sourcesOf = (name) => {
+    const variable = context.variables.get(name);
+    if (!variable) {
+      const arg = context.args?.find((arg) => arg.name === name);
+      if (!arg) {
+        return [];
+      }
+      const id = `$${name}`;
+      addNode({
+        id,
+        kind: "arguments",
+        label: `$${name}: ${arg.type}`,
+        used: used && used.variables.has(name),
+      });
+      return [{ node: id }];
+    }
+    const usedVariable = used && used.variables.has(name);
+    if (variable.alias) {
+      const id = `$${name}`;
+      if (!nodes.has(id)) {
+        addNode({
+          id,
+          kind: "alias",
+          label: `$${name} = $${variable.alias}`,
+          used: usedVariable,
+        });
+        for (const source of sourcesOf(variable.alias)) {
+          addEdge(source, id, variable.alias);
+        }
+      }
+      return [{ node: id }];
+    }
+    /** @type { Source[] } */
+    const sources = [];
+    const candidates = [variable, ...(variable.fallbacks || [])];
+    candidates.forEach((candidate, index) => {
+      if (candidate.type === "const") {
+        const id = index === 0 ? `$${name}` : `$${name}?${index}`;
+        addNode({
+          id,
+          kind: "constant",
+          label: `$${name} = '${candidate.constant}'`,
+          used: usedVariable,
+        });
+        sources.push({ node: id });
+      } else if (candidate.type === "ref") {
+        sources.push({
+          node: `@${candidate.service}`,
+          field: candidate.fieldKey,
+        });
+      } else if (candidate.type === "expr") {
+        const id = `$${name}`;
+        if (!nodes.has(id)) {
+          addNode({
+            id,
+            kind: "expression",
+            label: `$${name} = ${formatExpression(candidate.expression)}`,
+            used: usedVariable,
+          });
+          for (const operand of expressionVariables(candidate.expression)) {
+            for (const source of sourcesOf(operand)) {
+              addEdge(source, id, operand);
+            }
+          }
+        }
+        sources.push({ node: id });
+      } else {
+        sources.push(...sourcesOf(candidate.variableName));
+      }
+    });
+    return sources;
+  };
+
+  for (const { key, dependencies, guard } of context.services.values()) {
+    for (const { name, variableName } of dependencies) {
+      for (const source of sourcesOf(variableName)) {
+        addEdge(source, `@${key}`, variableName, name);
+      }
+    }
+    for (const variableName of guard ? expressionVariables(guard) : []) {
+      for (const source of sourcesOf(variableName)) {
+        addEdge(source, `@${key}`, variableName, GUARD_ARGUMENT);
+      }
+    }
+  }
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+/** @param { string } text */
+const quoteDot = (text) =>
+  `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+
+/** @type { Record<GraphNode["kind"], string> } */
+const DOT_SHAPES = {
+  service: "box",
+  arguments: "invhouse",
+  constant: "note",
+  alias: "hexagon",
+  expression: "parallelogram",
+};
+
+/**
+ * @param { DependencyGraph } graph
+ */
+function toDot({ nodes, edges }) {
+  const lines = ["digraph template {", "  rankdir=LR;"];
+  for (const { id, kind, label, used } of nodes) {
+    const style = used === false ? ", style=dashed, color=gray" : "";
+    lines.push(
+      `  ${quoteDot(id)} [label=${quoteDot(label)}, shape=${
+        DOT_SHAPES[kind]
+      }${style}];`
+    );
+  }
+  for (const { from, to, label } of edges) {
+    lines.push(
+      `  ${quoteDot(from)} -> ${quoteDot(to)} [label=${quoteDot(label)}];`
+    );
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/** @param { string } text */
+const quoteMermaid = (text) =>
+  `"${text.replace(/"/g, "#quot;").replace(/\n/g, "<br/>")}"`;
+
+/** @type { Record<GraphNode["kind"], [string, string]> } */
+const MERMAID_SHAPES = {
+  service: ["[", "]"],
+  arguments: ["[/", "/]"],
+  constant: ["([", "])"],
+  alias: ["{{", "}}"],
+  expression: ["[/", "\\]"],
+};
+
+/**
+ * @param { DependencyGraph } graph
+ */
+function toMermaid({ nodes, edges }) {
+  /** @type { Map<string, string> } */
+  const ids = new Map(nodes.map(({ id }, index) => [id, `n${index}`]));
+  const lines = ["flowchart LR"];
+  for (const { id, kind, label } of nodes) {
+    const [open, close] = MERMAID_SHAPES[kind];
+    lines.push(`  ${ids.get(id)}${open}${quoteMermaid(label)}${close}`);
+  }
+  for (const { from, to, label } of edges) {
+    lines.push(`  ${ids.get(from)} -->|${quoteMermaid(label)}| ${ids.get(to)}`);
+  }
+  const unused = nodes.filter(({ used }) => used === false);
+  if (unused.length > 0) {
+    lines.push("  classDef unused stroke-dasharray: 5 5,opacity:0.5;");
+    lines.push(
+      `  class ${unused.map(({ id }) => ids.get(id)).join(",")} unused;`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = { buildGraph, toDot, toMermaid };
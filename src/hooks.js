@@ -0,0 +1,117 @@
+/**
+ * @typedef RenderStartEvent
+ * @type { object }
+ * @property { number } render id of the render, the same in all its events
+ * @property { string[] } views
+ *
+ * @typedef RenderEndEvent
+ * @type { object }
+ * @property { number } render
+ * @property { string[] } views
+ * @property { number } duration milliseconds since the start of the render
+ * @property { "ok" | "degraded" } [status] status of the report, absent when the render failed
+ * @property { unknown } [error] error the render failed with
+ *
+ * @typedef StageEvent
+ * @type { object }
+ * @property { number } duration milliseconds spent
+ * @property { unknown } [error] error the stage failed with
+ *
+ * @typedef BatchStartEvent
+ * @type { object }
+ * @property { number } [render] absent when the variables are resolved without rendering
+ * @property { number } batch id of the batch, the same in its start and end
+ * @property { string } service name of the registered service
+ * @property { string[] } keys keys of the services of the template called together
+ * @property { number } records how many records the service is called with
+ * @property { string[] } after keys of the services the batch waited for
+ *
+ * @typedef { BatchStartEvent & { duration: number, error?: unknown } } BatchEndEvent
+ *
+ * @typedef ViewEvent
+ * @type { object }
+ * @property { number } render
+ * @property { string } view name of the view
+ * @property { string } renderer tag of the renderer
+ * @property { number } duration
+ *
+ * @typedef HookEvents
+ * @type { object }
+ * @property { RenderStartEvent } renderStart
+ * @property { RenderEndEvent } renderEnd
+ * @property { StageEvent } parse the template and its imports have been parsed
+ * @property { StageEvent } compile the parsed template has been checked and its resolver built
+ * @property { BatchStartEvent } batchStart
+ * @property { BatchEndEvent } batchEnd
+ * @property { ViewEvent } view
+ */
+
+const { ERROR_CODES, TemplaterError } = require("./diagnostics");
+
+/** @type { (keyof HookEvents)[] } */
+const HOOK_EVENTS = [
+  "renderStart",
+  "renderEnd",
+  "parse",
+  "compile",
+  "batchStart",
+  "batchEnd",
+  "view",
+];
+
+/**
+ * Listeners of the lifecycle events of the resolver. The hooks are
+ * called synchronously, the errors thrown by them are ignored so that
+ * they cannot break the render.
+ */
+class Hooks {
+  constructor() {
+    /** @type { Map<string, Set<(event: any) => void>> } */
+    this._hooks = new Map();
+    this._lastId = 0;
+  }
+
+  /**
+   * @template { keyof HookEvents } E
+   * @param { E } event
+   * @param { (event: HookEvents[E]) => void } hook
+   * @returns { () => void } removes the hook
+   */
+  regist(event, hook) {
+    if (!HOOK_EVENTS.includes(event)) {
+      throw new TemplaterError(`unknown hook event "${event}"`, {
+        code: ERROR_CODES.HOOK_EVENT,
+      });
+    }
+    const hooks = this._hooks.get(event) || new Set();
+    hooks.add(hook);
+    this._hooks.set(event, hooks);
+    return () => {
+      hooks.delete(hook);
+    };
+  }
+
+  /**
+   * @template { keyof HookEvents } E
+   * @param { E } event
+   * @param { HookEvents[E] } payload
+   */
+  emit(event, payload) {
+    for (const hook of this._hooks.get(event) || []) {
+      try {
+        hook(payload);
+      } catch (error) {
+        // a failing hook must not affect the render
+      }
+    }
+  }
+
+  /**
+   * Id of the next render or batch, unique among the events of the hooks.
+   */
+  nextId() {
+    return ++this._lastId;
+  }
+}
+
+module.exports = { Hooks, HOOK_EVENTS };
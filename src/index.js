@@ -62,7 +62,7 @@ const template = `
 #view(title)[default]
 Инцидент {{incident_name}}
 
-#view(body_html)[default]
+#view(body_html)[html]
 <html>
  <body>
   <h1>{{incident_name}}</h1>
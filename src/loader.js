@@ -0,0 +1,23 @@
+/**
+ * @typedef { import('./types').TemplateLoader } TemplateLoader
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Loads the imported templates from the files, the paths are relative
+ * to the importing template or to the root for the compiled one.
+ *
+ * @param { string } [root=process.cwd()]
+ * @returns { TemplateLoader }
+ */
+function createFileLoader(root = process.cwd()) {
+  return {
+    resolve: (specifier, importer) =>
+      path.resolve(importer ? path.dirname(importer) : root, specifier),
+    load: (id) => fs.readFileSync(id, "utf8"),
+  };
+}
+
+module.exports = { createFileLoader };
@@ -0,0 +1,73 @@
+/**
+ * Bounded cache that evicts the least recently used entry.
+ *
+ * @template K, V
+ */
+class LRUCache {
+  /**
+   * @param { number } capacity
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    /** @type { Map<K, V> } */
+    this._entries = new Map();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * @param { K } key
+   */
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * @param { K } key
+   * @returns { V | undefined }
+   */
+  get(key) {
+    if (!this._entries.has(key)) {
+      return undefined;
+    }
+    /** @type { V } */
+    // @ts-ignore
+    const value = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * @param { K } key
+   * @param { V } value
+   */
+  set(key, value) {
+    if (this.capacity <= 0) {
+      return this;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    while (this._entries.size > this.capacity) {
+      const oldest = this._entries.keys().next().value;
+      // @ts-ignore
+      this._entries.delete(oldest);
+    }
+    return this;
+  }
+
+  /**
+   * @param { K } key
+   */
+  delete(key) {
+    return this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
+
+module.exports = { LRUCache };
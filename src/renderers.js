@@ -0,0 +1,35 @@
+/**
+ * @typedef { import('./templater').Renderer } Renderer
+ */
+
+/** @type { Record<string, string> } */
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/** @param { string } value */
+const escapeHtml = (value) =>
+  value.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+/** @param { string } value */
+const escapeMarkdown = (value) =>
+  value.replace(/[\\`*_{}\[\]()#+\-.!|<>~]/g, (char) => `\\${char}`);
+
+/**
+ * Renderers chosen by the tag of the view - `#view(body_html)[html]`.
+ * Values of the `{{{name}}}` placeholders are inserted unescaped.
+ *
+ * @type { Record<string, Renderer> }
+ */
+const BUILTIN_RENDERERS = {
+  default: ({ interpolate }) => interpolate(),
+  text: ({ interpolate }) => interpolate(),
+  html: ({ interpolate }) => interpolate(escapeHtml),
+  markdown: ({ interpolate }) => interpolate(escapeMarkdown),
+};
+
+module.exports = { BUILTIN_RENDERERS, escapeHtml, escapeMarkdown };
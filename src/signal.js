@@ -0,0 +1,95 @@
+const { ERROR_CODES, TemplaterAbortError } = require("./diagnostics");
+
+/**
+ * Runs the callback with a signal which is aborted when the outer signal
+ * is aborted or the timeout expires. The returned promise is rejected at
+ * that moment even if the callback ignores its signal.
+ *
+ * @template T
+ * @param { (signal: AbortSignal) => T | Promise<T> } callback
+ * @param { object } props
+ * @param { string } props.name name of the service for the error messages
+ * @param { AbortSignal } [props.signal]
+ * @param { number } [props.timeout] milliseconds, no timeout when not positive
+ * @returns { Promise<T> }
+ */
+function runAbortable(callback, { name, signal, timeout }) {
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    /** @type { ReturnType<typeof setTimeout> | undefined } */
+    let timer;
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    /** @param { TemplaterAbortError } error */
+    const abort = (error) => {
+      cleanup();
+      controller.abort(error);
+      reject(error);
+    };
+    const onAbort = () => abort(abortError(name));
+
+    if (signal?.aborted) {
+      return onAbort();
+    }
+    signal?.addEventListener("abort", onAbort);
+    if (timeout && timeout > 0) {
+      timer = setTimeout(
+        () =>
+          abort(
+            new TemplaterAbortError(
+              `service ${name} timed out after ${timeout}ms`,
+              { code: ERROR_CODES.SERVICE_TIMEOUT }
+            )
+          ),
+        timeout
+      );
+    }
+    Promise.resolve()
+      .then(() => callback(controller.signal))
+      .then(
+        (result) => {
+          cleanup();
+          resolve(result);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        }
+      );
+  });
+}
+
+/**
+ * @param { number } ms
+ * @param { object } props
+ * @param { string } props.name
+ * @param { AbortSignal } [props.signal]
+ * @returns { Promise<void> }
+ */
+function delay(ms, { name, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(abortError(name));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(name));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort);
+  });
+}
+
+/** @param { string } name */
+function abortError(name) {
+  return new TemplaterAbortError(`service ${name} was aborted`, {
+    code: ERROR_CODES.SERVICE_ABORTED,
+  });
+}
+
+module.exports = { runAbortable, delay };
@@ -1,50 +1,132 @@
 /**
  * @typedef { import('./types').Dependency } Dependency
  * @typedef { import('./types').Service } Service
- * @typedef { import('./types').VariableRef } VariableRef
- * @typedef { import('./types').VariableConst } VariableConst
+ * @typedef { import('./types').Variable } Variable
+ * @typedef { import('./types').VariableExpr } VariableExpr
+ * @typedef { import('./types').VariableFallback } VariableFallback
+ * @typedef { import('./types').Expression } Expression
+ * @typedef { import('./types').SourceLocation } SourceLocation
+ * @typedef { import('./types').TemplateDiagnostic } TemplateDiagnostic
+ * @typedef { import('./types').ViewNode } ViewNode
+ * @typedef { import('./types').ViewPlaceholder } ViewPlaceholder
+ * @typedef { import('./types').ViewBlock } ViewBlock
+ * @typedef { import('./view').Filter } Filter
  * @typedef { import('./types').Resolver } ResolverCallback
  * @typedef { import('./types').ResolverArgs } ResolverArgs
+ * @typedef { import('./types').ServiceCacheStore } ServiceCacheStore
+ * @typedef { import('./types').TemplateLoader } TemplateLoader
+ * @typedef { import('./types').ArgumentDeclaration } ArgumentDeclaration
+ * @typedef { import('./types').ArgumentType } ArgumentType
+ * @typedef { import('./graph').DependencyGraph } DependencyGraph
  * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ * @typedef { import('./types').ValueType } ValueType
+ * @typedef { import('./types').ServiceOutputModel } ServiceOutputModel
+ * @typedef { import('./hooks').HookEvents } HookEvents
+ * @typedef { import('./fixtures').ServiceMode } ServiceMode
  */
 
-class TemplaterError extends Error {}
-
+const {
+  ERROR_CODES,
+  Source,
+  Diagnostics,
+  TemplaterError,
+  TemplaterDiagnosticsError,
+  TemplaterServiceError,
+  TemplaterAbortError,
+} = require("./diagnostics");
+const { LRUCache } = require("./lru");
+const { runAbortable, delay } = require("./signal");
+const { MemoryCacheStore, cacheKey } = require("./cache");
+const { Coalescer } = require("./coalescer");
+const { Hooks } = require("./hooks");
+const { buildGraph } = require("./graph");
+const { createFileLoader } = require("./loader");
+const { traceResolver, InMemorySpanExporter } = require("./tracing");
+const {
+  ServiceFixture,
+  loadFixture,
+  saveFixture,
+  fixtureCallback,
+} = require("./fixtures");
+const {
+  parseView,
+  renderView,
+  readPath,
+  isTruthy,
+  LOOP_ITEM,
+  LOOP_INDEX,
+  FIELD_SEPARATOR,
+} = require("./view");
+const {
+  parseExpression,
+  evaluateExpression,
+  expressionVariables,
+  renameExpressionVariables,
+  expressionCalls,
+} = require("./expression");
+const { BUILTIN_FILTERS } = require("./filters");
+const { BUILTIN_RENDERERS } = require("./renderers");
+
+const TAG_ARGS = "#args";
 const TAG_DATA = "#data";
 const TAG_VIEW = "#view";
+const TAG_IMPORT = "#import";
 
 const SERVICE_VARIABLE = "$";
 const SERVICE_CHAR = "@";
 
 const REGEXP_LINE_COMMENT = /^[ \t]*\/\//;
 const REGEXP_LINE_EMPTY = /^[ \t]*$/;
-const REGEXP_NEW_LINE = /\r?\n/;
 const REGEXP_STRING_LITERAL = /^'.*'$/;
+const FALLBACK = "??";
 const REGEXP_LINE_CARRY = /\\\s*$/;
 
+const REGEXP_HEAD_ARGS = /^#args\s*$/;
 const REGEXP_HEAD_DATA = /^#data\s*$/;
 const REGEXP_HEAD_VIEW = /^#view\(([a-z][a-z_]+)\)(\[([a-z][a-z_0-9]+)\])?\s*$/;
 
 const REGEXP_IDENTIFIER = /^[@$][a-z][a-z_]*$/;
+const REGEXP_FILTER_NAME = /^[a-z][a-z_0-9]*$/;
+const REGEXP_FUNCTION_NAME = /^[a-z][a-z_0-9]*$/;
+const REGEXP_RENDERER_NAME = /^[a-z][a-z_0-9]+$/;
 const REGEXP_INTERNAL_IDENTIFIER = /^[@$]internal_/;
 
-const REGEXP_VARIABLE = /^([a-z][a-z_]*) *<- *(@[a-z][a-z_]*)*$/;
+const REGEXP_VARIABLE =
+  /^([a-z][a-z_]*(?:\.(?:[a-z][a-z_]*|\d+))*) *<- *(@[a-z][a-z_]*(?::[a-z][a-z_]*)*)*$/;
+const REGEXP_SERVICE_GUARD =
+  /^([A-Z][a-zA-Z]+(?:\[\])?(?: *{[^}]*})?) +when +(.+)$/;
 const REGEXP_SERVICE =
-  /^([A-Z][a-zA-Z]+) *({ *([a-z][a-z_]* *= *\$[a-z][a-z_]*; *)+ *})?$/;
+  /^([A-Z][a-zA-Z]+)(\[\])? *({ *([a-z][a-z_]* *= *\$[a-z][a-z_]*(?::[a-z][a-z_]*)*; *)+ *})?$/;
+const REGEXP_ARGUMENT =
+  /^([a-z][a-z_]*)(\?)? *: *(string\[\]|string)(?: *= *(.+))?$/;
+const REGEXP_ARRAY_LITERAL = /^\[(.*)\]$/;
+const REGEXP_IMPORT = /^#import\s+"([^"]+)"\s+as\s+([a-z][a-z_]*)$/;
+const NAMESPACE_SEPARATOR = ":";
 
 const SYSTEM_SERVICE = ["Arguments"];
 
+const COMPILED_TEMPLATE_VERSION = 7;
+const DEFAULT_TEMPLATE_CACHE_SIZE = 100;
+
 class ResolverContext {
-  constructor() {
-    /** @type { Map<string, VariableRef | VariableConst> } */
+  /**
+   * @param { Source } [source=undefined]
+   */
+  constructor(source) {
+    /** @type { Map<string, Variable> } */
     this.variables = new Map();
     /** @type { Map<string, Service> } */
     this.services = new Map();
+    this.source = source;
+    /** @type { Map<string, Source> } sources of the imported templates */
+    this.sources = new Map();
+    /** @type { ArgumentDeclaration[] | undefined } arguments of the #args region, any when absent */
+    this.args = undefined;
   }
 
   /**
    * @param { string } key
-   * @param { VariableRef | VariableConst } variable
+   * @param { Variable } variable
    */
   registVariable(key, variable) {
     this.variables.set(key, variable);
@@ -54,66 +136,241 @@ class ResolverContext {
    * @param { string } key
    * @param { string } providerName
    * @param { Dependency[] } dependencies
+   * @param { SourceLocation } [location=undefined]
+   * @param { Expression } [guard=undefined] condition of the `when` clause
+   * @param { boolean } [fanOut=false] whether the service is called per element of its list arguments
    */
-  registService(key, providerName, dependencies) {
-    this.services.set(key, {
+  registService(key, providerName, dependencies, location, guard, fanOut) {
+    /** @type { Service } */
+    const service = {
       key,
       name: providerName,
       dependencies,
-    });
+      location,
+    };
+    if (guard) {
+      service.guard = guard;
+    }
+    if (fanOut) {
+      service.fanOut = true;
+    }
+    this.services.set(key, service);
+  }
+
+  /**
+   * @param { string } message
+   * @param { string } code
+   * @param { SourceLocation } [location=undefined]
+   */
+  createError(message, code, location) {
+    const source = location?.file
+      ? this.sources.get(location.file)
+      : this.source;
+    return new TemplaterError(message, { code, location, source });
+  }
+
+  toJSON() {
+    return {
+      variables: [...this.variables.entries()],
+      services: [...this.services.entries()],
+      args: this.args,
+      /** @type { [string, string][] } */
+      imports: [...this.sources.entries()].map(([file, { text }]) => [
+        file,
+        text,
+      ]),
+    };
+  }
+
+  /**
+   * @param { ReturnType<ResolverContext["toJSON"]> } json
+   * @param { Source } [source=undefined]
+   */
+  static fromJSON({ variables, services, args, imports }, source) {
+    const context = new ResolverContext(source);
+    context.args = args;
+    for (const [file, text] of imports) {
+      context.sources.set(file, new Source(text));
+    }
+    for (const [key, variable] of variables) {
+      context.registVariable(key, variable);
+    }
+    for (const [key, service] of services) {
+      context.services.set(key, service);
+    }
+    return context;
   }
 }
 
+/**
+ * @typedef ParseOptions
+ * @type { object }
+ * @property { boolean } [collectErrors=false] report all errors together instead of the first one
+ * @property { TemplateLoader } [loader] loads the templates of the `#import` directives
+ *
+ * @typedef ImportOptions
+ * @type { object }
+ * @property { TemplateLoader } [loader]
+ * @property { string } [file] identifier of the imported template being parsed
+ * @property { string[] } [importChain] identifiers of the templates importing this one
+ *
+ * @typedef ViewRegion
+ * @type { object }
+ * @property { string } name
+ * @property { string } render
+ * @property { string } text
+ * @property { ViewNode[] } nodes text and placeholders of the region
+ * @property { SourceLocation } [location] location of the region heading
+ *
+ * @typedef SourceLine
+ * @type { object }
+ * @property { string } text logical line with the line carries joined
+ * @property { { offset: number, location: SourceLocation }[] } segments
+ */
+
 class Parser {
   /**
    * @param { string } text
-   * @private
+   * @param { Diagnostics } [diagnostics]
+   * @param { ImportOptions } [options]
    */
-  constructor(text) {
-    this._text = text;
-    this._resolverContext = new ResolverContext();
+  constructor(
+    text,
+    diagnostics = new Diagnostics(),
+    { loader, file, importChain = [] } = {}
+  ) {
+    this._source = new Source(text);
+    this._diagnostics = diagnostics;
+    this._resolverContext = new ResolverContext(this._source);
+    this._loader = loader;
+    this._file = file;
+    this._importChain = importChain;
+    /** @type { Set<string> } */
+    this._namespaces = new Set();
+    if (file) {
+      this._resolverContext.sources.set(file, this._source);
+    }
   }
 
   /**
    * @param { string } text
+   * @param { ParseOptions } [options]
    */
-  static parse(text) {
-    const parser = new Parser(text);
-    return parser.parse();
+  static parse(text, { collectErrors = false, loader } = {}) {
+    const parser = new Parser(text, new Diagnostics(collectErrors), {
+      loader,
+    });
+    const parsed = parser.parse();
+    parser._diagnostics.throwIfAny();
+    return parsed;
   }
 
   parse() {
-    const { data, views } = this.splitRegions();
+    const { args, data, views } = this.splitRegions();
     const regions = this.parseViewRegions(views);
 
-    this.parseDataRegion(data);
+    if (args) {
+      this.parseArgsRegion(args.lines, args.start);
+    }
+    this.parseDataRegion(data.lines, data.start);
     return {
       regions,
       resolverContext: this._resolverContext,
     };
   }
 
+  /**
+   * Declarations of the #data region of the imported template, its
+   * views are ignored.
+   */
+  parseModule() {
+    const lines = this._source.lines;
+    const start = this.findIndexTag(lines, TAG_DATA, 0);
+    if (start === -1) {
+      throw this.createError(
+        `imported template has no region ${TAG_DATA}`,
+        ERROR_CODES.DATA_REGION_NOT_FOUND,
+        { line: 1, column: 1 }
+      );
+    }
+    const end = this.findIndexTag(lines, TAG_VIEW, start + 1);
+    this.parseDataRegion(
+      lines.slice(start, end === -1 ? lines.length : end),
+      start
+    );
+    return this._resolverContext;
+  }
+
   splitRegions() {
-    const lines = this._text.split(REGEXP_NEW_LINE);
+    const lines = this._source.lines;
 
     const regionDataIndex = this.findIndexDataTag(lines);
     const regionViewIndexes = this.findIndexesViewTag(lines);
 
     if (regionDataIndex > regionViewIndexes[0]) {
-      throw new TemplaterError("region #view must be after region #data");
+      this.fatal(
+        "region #view must be after region #data",
+        ERROR_CODES.VIEW_REGION_ORDER,
+        regionViewIndexes[0]
+      );
     }
 
-    const data = lines.slice(regionDataIndex, regionViewIndexes[0]);
+    const regionArgsIndex = this.findIndexArgsTag(lines, regionDataIndex);
+    const args =
+      regionArgsIndex === -1
+        ? undefined
+        : {
+            start: regionArgsIndex,
+            lines: lines.slice(regionArgsIndex, regionDataIndex),
+          };
+    const data = {
+      start: regionDataIndex,
+      lines: lines.slice(regionDataIndex, regionViewIndexes[0]),
+    };
     const views = this.splitesViewsRegions(lines, regionViewIndexes);
 
-    return { data, views };
+    return { args, data, views };
+  }
+
+  /**
+   * @param { string[] } lines
+   * @param { number } regionDataIndex
+   */
+  findIndexArgsTag(lines, regionDataIndex) {
+    const regionArgsIndex = this.findIndexTag(lines, TAG_ARGS, 0);
+    if (regionArgsIndex == -1) {
+      return -1;
+    }
+    if (regionArgsIndex > regionDataIndex) {
+      this.fatal(
+        `region ${TAG_ARGS} must be before region ${TAG_DATA}`,
+        ERROR_CODES.ARGS_REGION_ORDER,
+        regionArgsIndex
+      );
+    }
+    const maybeDuplicateRegion = this.findIndexTag(
+      lines,
+      TAG_ARGS,
+      regionArgsIndex + 1
+    );
+    if (maybeDuplicateRegion > -1) {
+      this.fatal(
+        `region ${TAG_ARGS} announced several times`,
+        ERROR_CODES.ARGS_REGION_DUPLICATE,
+        maybeDuplicateRegion
+      );
+    }
+    return regionArgsIndex;
   }
 
   /** @param { string[] } lines */
   findIndexDataTag(lines) {
     const regionDataIndex = this.findIndexTag(lines, TAG_DATA, 0);
     if (regionDataIndex == -1) {
-      throw new TemplaterError(`required region ${TAG_DATA} not found`);
+      this.fatal(
+        `required region ${TAG_DATA} not found`,
+        ERROR_CODES.DATA_REGION_NOT_FOUND
+      );
     }
     const maybeDuplicateRegion = this.findIndexTag(
       lines,
@@ -121,7 +378,11 @@ class Parser {
       regionDataIndex + 1
     );
     if (maybeDuplicateRegion > -1) {
-      throw new TemplaterError(`region @${TAG_DATA} announced several times`);
+      this.fatal(
+        `region @${TAG_DATA} announced several times`,
+        ERROR_CODES.DATA_REGION_DUPLICATE,
+        maybeDuplicateRegion
+      );
     }
     return regionDataIndex;
   }
@@ -130,7 +391,10 @@ class Parser {
   findIndexesViewTag(lines) {
     const regionViewIndex = this.findIndexTag(lines, TAG_VIEW, 0);
     if (regionViewIndex == -1) {
-      throw new TemplaterError(`no regions found with the tag ${TAG_VIEW}`);
+      this.fatal(
+        `no regions found with the tag ${TAG_VIEW}`,
+        ERROR_CODES.VIEW_REGION_NOT_FOUND
+      );
     }
     const indexes = [regionViewIndex];
     while (true) {
@@ -154,10 +418,13 @@ class Parser {
    */
   splitesViewsRegions(lines, indexes) {
     const indexesWithEnd = [...indexes, lines.length];
-    /** @type { string[][] } */
+    /** @type { { start: number, lines: string[] }[] } */
     const regions = [];
     for (let i = 1; i < indexesWithEnd.length; ++i) {
-      regions.push(lines.slice(indexesWithEnd[i - 1], indexesWithEnd[i]));
+      regions.push({
+        start: indexesWithEnd[i - 1],
+        lines: lines.slice(indexesWithEnd[i - 1], indexesWithEnd[i]),
+      });
     }
     return regions;
   }
@@ -179,94 +446,411 @@ class Parser {
 
   /**
    * @param { string[] } texts
+   * @param { number } [start=0] index of the region heading in the template
    */
-  parseDataRegion(texts) {
+  parseDataRegion(texts, start = 0) {
     const [head, ...lines] = texts;
-    this.validateDataHead(head);
+    this._diagnostics.guard(() => this.validateDataHead(head, start));
 
-    /** @type { string[] } */
+    /** @type { SourceLine[] } */
     const preparedLines = [];
-    let lineBuild = "";
-    for (const line of lines) {
+    /** @type { SourceLine } */
+    let lineBuild = { text: "", segments: [] };
+    for (let i = 0; i < lines.length; ++i) {
+      const line = lines[i];
       if (REGEXP_LINE_COMMENT.test(line) || REGEXP_LINE_EMPTY.test(line)) {
         continue;
       }
 
-      lineBuild += line.trim();
+      const trimmed = line.trim();
+      lineBuild.segments.push({
+        offset: lineBuild.text.length,
+        location: {
+          line: start + i + 2,
+          column: line.indexOf(trimmed) + 1,
+        },
+      });
+      lineBuild.text += trimmed;
 
       if (!REGEXP_LINE_CARRY.test(line)) {
         preparedLines.push(lineBuild);
-        lineBuild = "";
+        lineBuild = { text: "", segments: [] };
         continue;
       }
 
-      lineBuild = lineBuild.replace(REGEXP_LINE_CARRY, "");
+      lineBuild.text = lineBuild.text.replace(REGEXP_LINE_CARRY, "");
     }
 
-    if (lineBuild != "") {
+    if (lineBuild.text != "") {
       preparedLines.push(lineBuild);
     }
 
     for (const line of preparedLines) {
-      this.parseDataLine(line.trim());
+      this._diagnostics.guard(() => this.parseDataLine(line));
+    }
+  }
+
+  /**
+   * Declarations of the arguments - `name: string`, `name?: string[]`,
+   * `name: string = 'default'`.
+   *
+   * @param { string[] } texts
+   * @param { number } start index of the region heading in the template
+   */
+  parseArgsRegion(texts, start) {
+    const [head, ...lines] = texts;
+    this._diagnostics.guard(() => {
+      if (!REGEXP_HEAD_ARGS.test(head)) {
+        throw this.createError(
+          `after the heading ${TAG_ARGS} there should be no non-whitespace characters - "${head}"`,
+          ERROR_CODES.ARGS_REGION_HEAD,
+          { line: start + 1, column: TAG_ARGS.length + 1 }
+        );
+      }
+    });
+
+    /** @type { ArgumentDeclaration[] } */
+    const declarations = [];
+    lines.forEach((line, i) => {
+      if (REGEXP_LINE_COMMENT.test(line) || REGEXP_LINE_EMPTY.test(line)) {
+        return;
+      }
+      const location = this.withFile({
+        line: start + i + 2,
+        column: line.search(/\S/) + 1,
+      });
+      const declaration = this._diagnostics.guard(() =>
+        this.parseArgsLine(line.trim(), location, declarations)
+      );
+      if (declaration) {
+        declarations.push(declaration);
+      }
+    });
+    this._resolverContext.args = declarations;
+  }
+
+  /**
+   * @param { string } text
+   * @param { SourceLocation } location
+   * @param { ArgumentDeclaration[] } declared
+   * @returns { ArgumentDeclaration }
+   */
+  parseArgsLine(text, location, declared) {
+    const match = REGEXP_ARGUMENT.exec(text);
+    if (!match) {
+      throw this.createError(
+        `invalid argument declaration "${text}", expected "name: string" or "name?: string[]"`,
+        ERROR_CODES.INVALID_ARGUMENT,
+        location
+      );
+    }
+    const [, name, optional, type, defaultText] = match;
+    if (declared.some((declaration) => declaration.name === name)) {
+      throw this.createError(
+        `argument "${name}" is declared several times`,
+        ERROR_CODES.INVALID_ARGUMENT,
+        location
+      );
+    }
+    /** @type { ArgumentDeclaration } */
+    const declaration = {
+      name,
+      // @ts-ignore
+      type,
+      required: !optional && defaultText === undefined,
+      location,
+    };
+    if (defaultText !== undefined) {
+      declaration.default = this.parseArgsDefault(
+        defaultText,
+        declaration,
+        location
+      );
+    }
+    return declaration;
+  }
+
+  /**
+   * @param { string } text
+   * @param { ArgumentDeclaration } declaration
+   * @param { SourceLocation } location
+   * @returns { ResolverAvailableTypes }
+   */
+  parseArgsDefault(text, { name, type }, location) {
+    const array = REGEXP_ARRAY_LITERAL.exec(text);
+    const items = array
+      ? array[1].trim() === ""
+        ? []
+        : splitOutsideQuotes(array[1], ",").map((part) => part.text)
+      : [text];
+    const valid = items.every((item) => REGEXP_STRING_LITERAL.test(item));
+    if (!valid || !!array !== (type === "string[]")) {
+      throw this.createError(
+        `default of the argument "${name}" must be ${
+          type === "string" ? "'text'" : "['text', ...]"
+        } - ${text}`,
+        ERROR_CODES.INVALID_ARGUMENT,
+        location
+      );
     }
+    const values = items.map((item) => item.slice(1, -1));
+    return array ? values : values[0];
   }
 
-  /** @param { string } head */
-  validateDataHead(head) {
+  /**
+   * @param { string } head
+   * @param { number } [start=0]
+   */
+  validateDataHead(head, start = 0) {
     if (!REGEXP_HEAD_DATA.test(head)) {
-      throw new TemplaterError(
-        `after the heading @data there should be no non-whitespace characters - "${head}"`
+      throw this.createError(
+        `after the heading @data there should be no non-whitespace characters - "${head}"`,
+        ERROR_CODES.DATA_REGION_HEAD,
+        { line: start + 1, column: TAG_DATA.length + 1 }
       );
     }
   }
 
-  /** @param { string } line */
-  parseDataLine(line) {
-    const [key, ...assigns] = line.split("=");
+  /**
+   * Maps an offset in the logical line to the location in the template.
+   *
+   * @param { SourceLine } sourceLine
+   * @param { number } offset
+   * @returns { SourceLocation }
+   */
+  locate({ text, segments }, offset) {
+    const position = Math.max(Math.min(offset, text.length), 0);
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.offset > position) {
+        break;
+      }
+      segment = candidate;
+    }
+    return this.withFile({
+      line: segment.location.line,
+      column: segment.location.column + position - segment.offset,
+    });
+  }
+
+  /**
+   * Marks the location as one in the imported template being parsed.
+   *
+   * @template { SourceLocation | undefined } T
+   * @param { T } location
+   * @returns { T }
+   */
+  withFile(location) {
+    return location && this._file
+      ? { ...location, file: this._file }
+      : location;
+  }
+
+  /** @param { SourceLine } sourceLine */
+  parseDataLine(sourceLine) {
+    if (sourceLine.text.startsWith(TAG_IMPORT)) {
+      return this.parseDataImportLine(sourceLine);
+    }
+    const [key, ...assigns] = sourceLine.text.split("=");
     const id = key.trim();
-    const assign = assigns.join("=").trim();
+    const rawAssign = assigns.join("=");
+    const assign = rawAssign.trim();
+    const assignOffset = key.length + 1 + Math.max(rawAssign.search(/\S/), 0);
+    const location = this.locate(sourceLine, 0);
 
     if (!REGEXP_IDENTIFIER.test(id)) {
-      throw new TemplaterError(`invalid variable name "${id}"`);
+      throw this.createError(
+        `invalid variable name "${id}"`,
+        ERROR_CODES.INVALID_IDENTIFIER,
+        location
+      );
     }
 
     if (REGEXP_INTERNAL_IDENTIFIER.test(id)) {
-      throw new TemplaterError(
-        `prefix "internal_" is not publicly available - "${id}"`
+      throw this.createError(
+        `prefix "internal_" is not publicly available - "${id}"`,
+        ERROR_CODES.INTERNAL_IDENTIFIER,
+        location
       );
     }
 
+    /** @param { number } offset */
+    const locate = (offset) => this.locate(sourceLine, assignOffset + offset);
+
     const name = id.slice(1);
     if (id.startsWith(SERVICE_CHAR)) {
-      this.parseDataSeviceLine(name, assign);
+      this.parseDataSeviceLine(name, assign, locate, location);
     } else {
-      this.parseDataVariableLine(name, assign);
+      this.parseDataVariableLine(name, assign, locate, location);
+    }
+  }
+
+  /**
+   * `#import "path" as name` - declarations of the imported template
+   * become available as `$name:variable` and `@name:service`.
+   *
+   * @param { SourceLine } sourceLine
+   */
+  parseDataImportLine(sourceLine) {
+    const location = this.locate(sourceLine, 0);
+    const match = REGEXP_IMPORT.exec(sourceLine.text);
+    if (!match) {
+      throw this.createError(
+        `invalid import "${sourceLine.text}", expected ${TAG_IMPORT} "path" as name`,
+        ERROR_CODES.INVALID_IMPORT,
+        location
+      );
+    }
+    const [, specifier, namespace] = match;
+    if (!this._loader) {
+      throw this.createError(
+        `cannot import "${specifier}" without a template loader`,
+        ERROR_CODES.IMPORT_LOADER,
+        location
+      );
+    }
+    if (this._namespaces.has(namespace)) {
+      throw this.createError(
+        `namespace "${namespace}" is already imported`,
+        ERROR_CODES.IMPORT_CONFLICT,
+        location
+      );
+    }
+    const id = this._loader.resolve(specifier, this._file);
+    const chain = [...this._importChain, id];
+    if (this._importChain.includes(id)) {
+      throw this.createError(
+        `cyclic import ${chain
+          .slice(this._importChain.indexOf(id))
+          .map((file) => `"${file}"`)
+          .join(" -> ")}`,
+        ERROR_CODES.IMPORT_CYCLE,
+        location
+      );
+    }
+    /** @type { string } */
+    let text;
+    try {
+      text = this._loader.load(id);
+    } catch (error) {
+      throw this.createError(
+        `cannot load "${specifier}" - ${
+          error instanceof Error ? error.message : error
+        }`,
+        ERROR_CODES.IMPORT_NOT_FOUND,
+        location
+      );
+    }
+    this._namespaces.add(namespace);
+    const imported = new Parser(text, this._diagnostics, {
+      loader: this._loader,
+      file: id,
+      importChain: chain,
+    }).parseModule();
+    this.importContext(namespace, imported);
+  }
+
+  /**
+   * @param { string } namespace
+   * @param { ResolverContext } imported
+   * @private
+   */
+  importContext(namespace, imported) {
+    /** @param { string } name */
+    const scoped = (name) => `${namespace}${NAMESPACE_SEPARATOR}${name}`;
+    for (const [file, source] of imported.sources.entries()) {
+      this._resolverContext.sources.set(file, source);
+    }
+    for (const [key, variable] of imported.variables.entries()) {
+      this.registVariable(scoped(key), scopeVariable(variable, scoped));
+    }
+    for (const {
+      key,
+      name,
+      dependencies,
+      location,
+      guard,
+      fanOut,
+    } of imported.services.values()) {
+      this.registService({
+        name: scoped(key),
+        providerName: name,
+        dependencies: dependencies.map((dependency) => ({
+          ...dependency,
+          variableName: scoped(dependency.variableName),
+        })),
+        location,
+        guard: guard && renameExpressionVariables(guard, scoped),
+        fanOut,
+      });
     }
   }
 
   /**
    * @param { string } name
-   * @param { string } line
+   * @param { string } text service declaration, optionally followed by `when <condition>`
+   * @param { (offset: number) => SourceLocation } locate
+   * @param { SourceLocation } [location=undefined] location of the declaration
    */
-  parseDataSeviceLine(name, line) {
+  parseDataSeviceLine(name, text, locate, location) {
+    const guarded = REGEXP_SERVICE_GUARD.exec(text);
+    const line = guarded ? guarded[1] : text;
     const maths = REGEXP_SERVICE.exec(line);
     if (maths) {
-      const [, providerName, args] = maths;
+      const [, providerName, fanOut, args] = maths;
       const dependencies =
-        typeof args === "string" ? this.parseDataServiceDependencies(args) : [];
+        typeof args === "string"
+          ? this.parseDataServiceDependencies(args, (offset) =>
+              locate(line.indexOf(args) + offset)
+            )
+          : [];
       return this.registService({
         name,
         providerName,
         dependencies,
+        location,
+        guard: guarded
+          ? this.parseDataServiceGuard(guarded[2], () =>
+              locate(text.length - guarded[2].length)
+            )
+          : undefined,
+        fanOut: fanOut !== undefined,
       });
     }
+    throw this.createError(
+      `invalid service declaration "${text}"`,
+      ERROR_CODES.INVALID_SERVICE,
+      locate(0)
+    );
+  }
+
+  /**
+   * `when $variable` or `when $variable == 'value'` after the service.
+   *
+   * @param { string } text
+   * @param { () => SourceLocation } locate
+   * @returns { Expression }
+   */
+  parseDataServiceGuard(text, locate) {
+    try {
+      return parseExpression(text);
+    } catch (error) {
+      throw this.createError(
+        `invalid condition "${text}" - ${
+          error instanceof Error ? error.message : error
+        }`,
+        ERROR_CODES.INVALID_SERVICE,
+        locate()
+      );
+    }
   }
 
   /**
    * @param { string } text
+   * @param { (offset: number) => SourceLocation } [locate=undefined]
    */
-  parseDataServiceDependencies(text) {
+  parseDataServiceDependencies(text, locate) {
+    let offset = 1;
     return text
       .slice(1, -1)
       .split(";")
@@ -278,7 +862,9 @@ class Parser {
           key: key,
           name: key,
           variableName: value.slice(1),
+          location: locate?.(offset + assign.indexOf(key)),
         };
+        offset += assign.length + 1;
         return dependency;
       });
   }
@@ -288,562 +874,3101 @@ class Parser {
    * @param { string } props.name
    * @param { string } props.providerName
    * @param { Dependency[] } props.dependencies
+   * @param { SourceLocation } [props.location]
+   * @param { Expression } [props.guard]
+   * @param { boolean } [props.fanOut]
    * @private
    */
-  registService({ name, providerName, dependencies }) {
-    this._resolverContext.registService(name, providerName, dependencies);
+  registService({ name, providerName, dependencies, location, guard, fanOut }) {
+    this._resolverContext.registService(
+      name,
+      providerName,
+      dependencies,
+      location,
+      guard,
+      fanOut
+    );
   }
 
   /**
    * @param { string } name
    * @param { string } line
+   * @param { (offset: number) => SourceLocation } locate
+   * @param { SourceLocation } [location=undefined] location of the declaration
    */
-  parseDataVariableLine(name, line) {
-    if (REGEXP_STRING_LITERAL.test(line)) {
-      return this.registVariable(name, {
-        type: "const",
-        constant: line.slice(1, -1),
-      });
+  parseDataVariableLine(name, line, locate, location) {
+    const [primary, ...alternatives] = splitOutsideQuotes(line, FALLBACK);
+    const variable = this.parseDataVariableValue(primary.text, () =>
+      locate(primary.offset)
+    );
+    if (alternatives.length === 0) {
+      return this.registVariable(name, { ...variable, location });
     }
-    const match = REGEXP_VARIABLE.exec(line);
+    if (variable.type === "const") {
+      throw this.createError(
+        `fallback of the constant variable "$${name}" is never used`,
+        ERROR_CODES.INVALID_FALLBACK,
+        locate(alternatives[0].offset)
+      );
+    }
+    const fallbacks = alternatives.map(({ text, offset }) =>
+      this.parseDataVariableFallback(text, () => locate(offset))
+    );
+    return this.registVariable(name, {
+      ...variable,
+      fallbacks: [...(variable.fallbacks || []), ...fallbacks],
+      location,
+    });
+  }
+
+  /**
+   * @param { string } text
+   * @param { () => SourceLocation } locate
+   * @returns { Variable }
+   */
+  parseDataVariableValue(text, locate) {
+    const match = REGEXP_VARIABLE.exec(text);
     if (match) {
       const [, key, service] = match;
-      return this.registVariable(name, {
+      return {
         type: "ref",
         fieldKey: key,
         service: service.slice(1),
-      });
+      };
     }
-    const aliasVariable = this._resolverContext.variables.get(
-      line.trim().slice(1)
-    );
-    if (aliasVariable) {
-      return this.registVariable(name, aliasVariable);
+    /** @type { Expression } */
+    let expression;
+    try {
+      expression = parseExpression(text);
+    } catch (error) {
+      if (REGEXP_STRING_LITERAL.test(text)) {
+        return { type: "const", constant: text.slice(1, -1) };
+      }
+      throw this.createError(
+        `invalid variable assignment "${text}" - ${
+          error instanceof Error ? error.message : error
+        }`,
+        ERROR_CODES.INVALID_VARIABLE,
+        locate()
+      );
+    }
+    if (expression.type === "literal") {
+      return { type: "const", constant: expression.value };
+    }
+    if (expression.type === "variable" && expression.path.length === 0) {
+      const aliasVariable = this._resolverContext.variables.get(
+        expression.name
+      );
+      if (aliasVariable) {
+        return {
+          ...aliasVariable,
+          alias: expression.name,
+        };
+      }
+    }
+    return { type: "expr", expression };
+  }
+
+  /**
+   * @param { string } text
+   * @param { () => SourceLocation } locate
+   * @returns { VariableFallback }
+   */
+  parseDataVariableFallback(text, locate) {
+    if (REGEXP_STRING_LITERAL.test(text)) {
+      return { type: "const", constant: text.slice(1, -1) };
+    }
+    const match = REGEXP_VARIABLE.exec(text);
+    if (match) {
+      const [, key, service] = match;
+      return { type: "ref", fieldKey: key, service: service.slice(1) };
+    }
+    const variableName = text.slice(1);
+    if (
+      text.startsWith(SERVICE_VARIABLE) &&
+      isInputName(this._resolverContext, variableName)
+    ) {
+      return { type: "variable", variableName };
     }
-    throw new TemplaterError(`invalid variable name "${line}"`);
+    throw this.createError(
+      `invalid fallback "${text}"`,
+      ERROR_CODES.INVALID_FALLBACK,
+      locate()
+    );
   }
 
   /**
    * @param { string } name
-   * @param { VariableRef | VariableConst } variable
+   * @param { Variable } variable
    */
   registVariable(name, variable) {
     this._resolverContext.registVariable(name, variable);
   }
 
   /**
-   * @param { string[][] } regions
+   * @param { { start: number, lines: string[] }[] } regions
    */
   parseViewRegions(regions) {
-    const parsedRegions = regions.map((region) => this.parseViewRegion(region));
-    /** @type { Record<string, typeof parsedRegions[number]> } */
+    /** @type { Record<string, ViewRegion> } */
     const records = {};
-    for (const parsed of parsedRegions) {
-      records[parsed.name] = parsed;
+    for (const { start, lines } of regions) {
+      const parsed = this._diagnostics.guard(() =>
+        this.parseViewRegion(lines, start)
+      );
+      if (parsed) {
+        records[parsed.name] = parsed;
+      }
     }
     return records;
   }
 
   /**
    * @param { string[] } texts
+   * @param { number } [start=0] index of the region heading in the template
+   * @returns { ViewRegion }
    */
-  parseViewRegion(texts) {
+  parseViewRegion(texts, start = 0) {
     const [head, ...lines] = texts;
     const match = REGEXP_HEAD_VIEW.exec(head);
     if (!match) {
-      throw new TemplaterError(`incorrect title for @view region - "${head}"`);
+      throw this.createError(
+        `incorrect title for @view region - "${head}"`,
+        ERROR_CODES.VIEW_REGION_HEAD,
+        { line: start + 1, column: 1 }
+      );
     }
     const name = match[1];
     const render = match[3] || "default";
-    return { name, render, text: lines.join("\n") };
+    const text = lines.join("\n");
+    const nodes = parseView(text, {
+      line: start + 1,
+      createError: (message, code, location) =>
+        this.createError(message, code, location),
+      report: (error) => this._diagnostics.report(error),
+    });
+    return {
+      name,
+      render,
+      text,
+      nodes,
+      location: { line: start + 1, column: 1 },
+    };
+  }
+
+  /**
+   * @param { string } message
+   * @param { string } code
+   * @param { SourceLocation } [location=undefined]
+   * @private
+   */
+  createError(message, code, location) {
+    return this._resolverContext.createError(
+      message,
+      code,
+      this.withFile(location)
+    );
+  }
+
+  /**
+   * Reports the error after which the template cannot be parsed further.
+   *
+   * @param { string } message
+   * @param { string } code
+   * @param { number } [index=undefined] index of the line in the template
+   * @returns { never }
+   * @private
+   */
+  fatal(message, code, index) {
+    const location =
+      index === undefined ? undefined : { line: index + 1, column: 1 };
+    const error = this.createError(message, code, location);
+    this._diagnostics.report(error);
+    this._diagnostics.throwIfAny();
+    throw error;
   }
 }
 
 /**
  * @typedef { Record<string, ResolverAvailableTypes> } Arguments
  *
+ * @typedef { "continue" | "fail" } FailurePolicy
+ *
  * @typedef Context
  * @type { object }
  * @property { Arguments } [args=undefined]
+ * @property { FailurePolicy } [failurePolicy] overrides the policy of the resolver for the render
+ * @property { AbortSignal } [signal] aborts the pending service calls of the render
+ *
+ * @typedef Execution state of a single `execute` call shared with the system services
+ * @type { object }
+ * @property { Arguments } args
+ * @property { AbortSignal } signal aborted with the render signal or when the render fails
+ * @property { Coalescer } [coalescer] gathers the calls of the services with the other renders
+ * @property { number } [render] id of the render in the hook events
+ *
+ * @typedef RunOptions
+ * @type { object }
+ * @property { Coalescer } [coalescer] overrides the coalescer of the resolver
+ * @property { number } [render] id of the render in the hook events
  */
 
 /**
- * @param { Context } [context=undefined]
+ * Result of the service, the list of the results of a `Name[]` service.
+ *
+ * @typedef { ResolverArgs | ResolverArgs[] } ServiceOutput
  */
 
-class ResolverExecutor {
-  /**
-   * @typedef QueueResolving
-   * @type { object }
-   * @property { Service[] } queue
-   * @property { Record<keyof Service, Service[]> } queueGrouped
-   */
+/**
+ * @typedef ServiceReport
+ * @type { object }
+ * @property { string } key key of the service in the template
+ * @property { string } name name of the registered service
+ * @property { "pending" | "resolved" | "failed" | "skipped" } status
+ * @property { unknown } [error] error thrown by the service callback
+ * @property { ResolverArgs | ResolverArgs[] } [args] arguments the service was called with, the records of them for a `Name[]` service
+ * @property { number } [duration] milliseconds spent by the callback
+ * @property { number } [attempts] how many times the callback was called
+ * @property { "hit" | "miss" } [cache] whether the result was taken from the cache of the service
+ * @property { boolean } [guard] value of the `when` clause, the service is skipped when it is false
+ * @property { string } [skippedBy] key of the failed or not guarded service this one was skipped because of
+ * @property { string[] } skipped keys of the downstream services skipped because of this one
+ *
+ * @typedef RenderReport
+ * @type { object }
+ * @property { "ok" | "degraded" } status
+ * @property { number } duration
+ * @property { ServiceReport[] } services
+ * @property { { hits: number, misses: number } } cache lookups in the caches of the services
+ */
 
+/**
+ * @typedef ResolvingPlan
+ * @type { object }
+ * @property { Map<string, Service> } services
+ * @property { Map<string, Set<string>> } variableSources keys of the services each variable may get its value from
+ * @property { Map<string, Set<string>> } parentServices keys of the services each service waits for
+ * @property { Map<string, Set<string>> } childrenServices keys of the services waiting for each service
+ * @property { Service[][] } queueResolving services grouped by the depth of their dependencies
+ */
+
+class ResolverExecutor {
   /**
    * @param { object } props
    * @param { Map<string, ResolverValue> } props.resolvers
+   * @param { Map<string, RegisteredFunction> } [props.functions] functions called by the expressions
    * @param { ResolverContext } props.context
    * @param { Record<string, ResolverAvailableTypes> } props.variableBase
-   * @param { Map<string, Record<string, string[]>> } props.serviceModels
-   * @param { QueueResolving[] } props.queueResolving
-   * @param { Map<string, Map<string, Service>> } props.childrenServices
+   * @param { ResolvingPlan } props.plan
+   * @param { FailurePolicy } [props.failurePolicy="continue"]
+   * @param { Coalescer } [props.coalescer] gathers the calls of the services across the renders
+   * @param { Hooks } [props.hooks] notified of the batches of the service calls
    */
   constructor({
     resolvers,
+    functions = new Map(),
     context,
     variableBase,
-    serviceModels,
-    queueResolving,
-    childrenServices,
+    plan,
+    failurePolicy = "continue",
+    coalescer,
+    hooks = new Hooks(),
   }) {
     this._resolvers = resolvers;
+    this._functions = functions;
     this._context = context;
     this._variableBase = variableBase;
-    this._serviceModels = serviceModels;
-    this._queueResolving = queueResolving;
-    this._childrenServices = childrenServices;
-    /** @type { Record<string, ResolverAvailableTypes> } */
-    this.executeArgumentsServerVariables = {};
+    this._plan = plan;
+    this._failurePolicy = failurePolicy;
+    this._coalescer = coalescer;
+    this._hooks = hooks;
+    /** @type { Map<string, string[]> } variables to evaluate when the service is settled */
+    this._serviceVariables = new Map();
+    for (const [name, sources] of plan.variableSources.entries()) {
+      for (const source of sources) {
+        const names = this._serviceVariables.get(source) || [];
+        this._serviceVariables.set(source, [...names, name]);
+      }
+    }
   }
 
   /**
    * @param { Context } [context=undefined]
    */
   async execute(context = {}) {
-    const { args = {} } = context || {};
+    const { variables } = await this.run(context);
+    return variables;
+  }
+
+  /**
+   * Resolves the variables and reports what happened to every service.
+   *
+   * @param { Context } [context=undefined]
+   * @param { RunOptions } [options={}]
+   */
+  async run(context = {}, { coalescer = this._coalescer, render } = {}) {
+    const {
+      args = {},
+      failurePolicy = this._failurePolicy,
+      signal,
+    } = context || {};
+
+    const checked = this._checkArguments(args);
 
     /** @type { Record<string, ResolverAvailableTypes> } */
     const variable = {
       ...this._variableBase,
-      ...args,
+      ...checked,
     };
 
-    this.executeArgumentsServerVariables = args;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) {
+      abort();
+    }
+    signal?.addEventListener("abort", abort);
+
+    /** @type { Execution } */
+    const execution = {
+      args: checked,
+      signal: controller.signal,
+      coalescer,
+      render,
+    };
 
-    if (this._queueResolving.length > 0) {
-      let currentQueue = new Set(this._queueResolving[0].queue);
-      for (let i = 1; i <= this._queueResolving.length; ++i) {
-        const { queueGrouped } = this._queueResolving[i - 1];
-        const { queue } = this._queueResolving[i] || {};
-        const nextQueue = new Set(queue || []);
+    const startedAt = Date.now();
+    /** @type { ServiceReport[] } */
+    let services;
+    try {
+      services = await this._schedule({
+        variable,
+        execution,
+        failurePolicy,
+      });
+    } catch (error) {
+      abort();
+      throw error;
+    } finally {
+      signal?.removeEventListener("abort", abort);
+    }
 
-        /** @type { Promise<void>[] } */
-        const queuePromises = [];
+    /** @param { ServiceReport } report */
+    const isGuarded = ({ guard, skippedBy }) =>
+      guard === false ||
+      services.some(({ key, guard }) => key === skippedBy && guard === false);
+    /** @type { RenderReport } */
+    const report = {
+      status: services.some(
+        (report) => report.status !== "resolved" && !isGuarded(report)
+      )
+        ? "degraded"
+        : "ok",
+      duration: Date.now() - startedAt,
+      services,
+      cache: {
+        hits: services.filter(({ cache }) => cache === "hit").length,
+        misses: services.filter(({ cache }) => cache === "miss").length,
+      },
+    };
+    return { variables: variable, report };
+  }
 
-        for (const serviceName of Object.keys(queueGrouped)) {
-          /** @type { Service[] } */
-          // @ts-ignore
-          const services = queueGrouped[serviceName].filter((service) =>
-            currentQueue.has(service)
-          );
-
-          /** @type { ResolverValue } */
-          // @ts-ignore
-          const resolver = this._resolvers.get(serviceName);
-          const handler = this._resolve({ resolver, services, variable })
-            .then((result) => {
-              Object.assign(variable, result);
-            })
-            .catch((error) => {
-              if (error instanceof TemplaterError) {
-                throw error;
-              }
-              for (const service of services) {
-                const childServices = this._childrenServices.get(service.key);
-                if (childServices) {
-                  for (const service of childServices.values()) {
-                    nextQueue.delete(service);
-                  }
-                }
-              }
-            });
-          queuePromises.push(handler);
-        }
-        await Promise.all(queuePromises);
-        if (nextQueue.size === 0) {
-          break;
-        }
-        currentQueue = nextQueue;
-      }
+  /**
+   * Arguments of the render with the defaults of the #args region, only
+   * the declared ones are passed on when the region is present.
+   *
+   * @param { Arguments } args
+   * @returns { Arguments }
+   * @private
+   */
+  _checkArguments(args) {
+    const { args: declarations } = this._context;
+    if (!declarations) {
+      return args;
+    }
+    const { args: checked, errors } = checkArguments(
+      declarations,
+      args,
+      this._context
+    );
+    if (errors.length > 0) {
+      throw errors.length === 1
+        ? errors[0]
+        : new TemplaterDiagnosticsError(errors);
     }
-    return variable;
+    return checked;
   }
 
   /**
+   * Starts every service as soon as all the services it depends on are
+   * resolved. Services of the same provider which become ready together
+   * are resolved by a single callback call.
+   *
    * @param { object } props
-   * @param { ResolverValue } props.resolver
-   * @param { Service[] } props.services
    * @param { Record<string, ResolverAvailableTypes> } props.variable
+   * @param { Execution } props.execution
+   * @param { FailurePolicy } props.failurePolicy
+   * @returns { Promise<ServiceReport[]> }
    * @private
    */
-  async _resolve({ resolver, services, variable }) {
-    const { callback, argsModel } = resolver;
-
-    /** @param { unknown } value */
-    const isString = (value) => typeof value === "string";
-    /** @param { unknown } value */
-    const isArrayStrings = (value) =>
-      Array.isArray(value) && value.every(isString);
-
-    const validator = argsModel
-      ? (/** @type {any} */ record) => {
-          for (const key of Object.keys(argsModel)) {
-            const types = new Set(argsModel[key]);
-            let result = false;
-            if (types.has("string")) {
-              result = result || isString(record[key]);
-            } else if (types.has("string[]")) {
-              result = result || isArrayStrings(record[key]);
-            }
-            if (!result) {
-              const arrayTypes = [...types.values()];
-              throw new TemplaterError(
-                `field ${
-                  services[0].name
-                }.${key} does not match types - "${arrayTypes.join("; ")}"`
-              );
-            }
-          }
+  _schedule({ variable, execution, failurePolicy }) {
+    const { services, variableSources, parentServices, childrenServices } =
+      this._plan;
+
+    /** @type { Map<string, ServiceReport> } */
+    const reports = new Map();
+    for (const { key, name } of services.values()) {
+      reports.set(key, { key, name, status: "pending", skipped: [] });
+    }
+    const snapshot = () => [...reports.values()];
+
+    /** @type { Map<string, ServiceOutput> } */
+    const outputs = new Map();
+    /** @type { Map<string, boolean> } whether the variable got a value from its sources */
+    const available = new Map();
+    /** @type { Map<string, number> } */
+    const waiting = new Map();
+    /** @type { Set<string> } */
+    const settled = new Set();
+    for (const [name, sources] of variableSources.entries()) {
+      if (
+        sources.size === 0 &&
+        this._context.variables.get(name)?.type === "expr"
+      ) {
+        variable[name] = this._evaluate(name, outputs, variable).value;
+      }
+    }
+    /** @type { Service[] } */
+    let ready = [];
+    let running = 0;
+    let scheduled = false;
+    let failed = false;
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        if (running === 0 && !scheduled && !failed) {
+          resolve(snapshot());
         }
-      : null;
+      };
 
-    const result = await callback(
-      services.map((context) => {
-        /** @type { ResolverArgs } */
-        const args = {};
-        for (const dependency of context.dependencies) {
-          args[dependency.name] = variable[dependency.variableName];
+      /**
+       * @param { unknown } error
+       * @param { ServiceReport } report
+       */
+      const fail = (error, report) => {
+        if (failed) {
+          return;
         }
-        if (validator) {
-          validator(args);
+        failed = true;
+        if (isTemplateError(error)) {
+          return reject(error);
         }
-        return args;
-      }),
-      // @ts-ignore
-      this
-    );
+        reject(
+          new TemplaterServiceError(
+            `service "@${report.key}" (${report.name}) failed`,
+            { service: report.key, cause: error, report: snapshot() }
+          )
+        );
+      };
 
-    if (result.length !== services.length) {
-      throw new TemplaterError("wrong result from resolver");
-    }
+      /** @param { string } name */
+      const isRequired = (name) =>
+        failurePolicy === "fail" || !!this._resolvers.get(name)?.required;
 
-    /** @type { Record<string, ResolverAvailableTypes> } */
-    const updateVarialbes = {};
-    for (let i = 0; i < services.length; ++i) {
-      const record = result[i];
-      /** @type { Record<string, string[]> } */
-      // @ts-ignore
-      const model = this._serviceModels.get(services[i].key);
-      for (const from of Object.keys(model)) {
-        const tos = model[from];
-        for (const to of tos) {
-          updateVarialbes[to] = record[from];
+      /** @param { Service } service */
+      const enqueue = (service) => {
+        ready.push(service);
+        if (!scheduled) {
+          scheduled = true;
+          Promise.resolve().then(flush);
         }
-      }
-    }
-    return updateVarialbes;
-  }
-}
+      };
 
-class Resolver {
-  /**
-   * @typedef { Record<string, ('string' | 'string[]')[]> } ArgsModel
-   *
-   * @typedef ResolverValue
-   * @type { object }
-   * @property { ArgsModel } argsModel
-   * @property { ResolverCallback } callback
-   */
+      /**
+       * Report of the failed service because of which the variable has no value.
+       *
+       * @param { string } name
+       * @returns { ServiceReport | undefined }
+       */
+      const originOf = (name) => {
+        const variable = this._context.variables.get(name);
+        if (variable?.type === "expr") {
+          const operand = expressionVariables(variable.expression).find(
+            (operand) => available.get(operand) === false
+          );
+          return operand === undefined ? undefined : originOf(operand);
+        }
+        const report =
+          variable?.type === "ref" ? reports.get(variable.service) : undefined;
+        return report?.skippedBy ? reports.get(report.skippedBy) : report;
+      };
 
-  /**
-   * @param { Map<string, ResolverValue> } resolvers
-   */
-  constructor(resolvers) {
-    this._resolvers = resolvers;
-  }
+      /** @param { string } key */
+      const settle = (key) => {
+        settled.add(key);
+        for (const name of this._serviceVariables.get(key) || []) {
+          const sources = variableSources.get(name) || [];
+          if (
+            available.has(name) ||
+            ![...sources].every((k) => settled.has(k))
+          ) {
+            continue;
+          }
+          /** @type { ReturnType<ResolverExecutor["_evaluate"]> } */
+          let result;
+          try {
+            result = this._evaluate(name, outputs, variable);
+          } catch (error) {
+            // @ts-ignore
+            return fail(error, reports.get(key));
+          }
+          available.set(name, result.available);
+          if (result.available) {
+            variable[name] = result.value;
+          } else if (originOf(name)?.guard === false) {
+            variable[name] = "";
+          }
+        }
+        for (const child of childrenServices.get(key) || []) {
+          const count = (waiting.get(child) ?? 0) - 1;
+          waiting.set(child, count);
+          if (count === 0) {
+            // @ts-ignore
+            release(services.get(child));
+          }
+        }
+      };
 
-  static create() {
-    const resolver = new Resolver(
-      new Map(
-        SYSTEM_SERVICE.map((name) => {
-          return [
-            name,
-            {
-              argsModel: {},
-              //@ts-ignore
-              callback: (records, executor) => {
-                return records.map(
-                  () => executor.executeArgumentsServerVariables
+      /** @param { Service } service */
+      const release = (service) => {
+        /** @type { ServiceReport } */
+        // @ts-ignore
+        const report = reports.get(service.key);
+        const missing = serviceVariables(service).find(
+          (name) => available.get(name) === false
+        );
+        if (!missing && service.guard) {
+          try {
+            report.guard = isTruthy(
+              this._evaluateExpression(
+                `condition of service "@${service.key}"`,
+                service.guard,
+                service.location,
+                outputs,
+                variable
+              ).value
+            );
+          } catch (error) {
+            return fail(error, report);
+          }
+        }
+        if (!missing && report.guard !== false) {
+          return enqueue(service);
+        }
+        const origin = missing && originOf(missing);
+        report.status = "skipped";
+        if (origin) {
+          report.skippedBy = origin.key;
+          origin.skipped.push(service.key);
+          if (origin.status === "failed" && isRequired(report.name)) {
+            fail(origin.error, origin);
+          }
+        }
+        settle(service.key);
+      };
+
+      const flush = () => {
+        scheduled = false;
+        if (failed) {
+          return;
+        }
+        const grouped = groupByField(ready, "name");
+        ready = [];
+        for (const serviceName of Object.keys(grouped)) {
+          /** @type { Service[] } */
+          const group = [];
+          /** @type { ResolverArgs[][] } */
+          const records = [];
+          // a service whose arguments cannot be built fails alone, the
+          // other services of the batch are still called
+          // @ts-ignore
+          for (const service of grouped[serviceName]) {
+            try {
+              records.push(this._buildArguments(service, variable));
+              group.push(service);
+            } catch (error) {
+              /** @type { ServiceReport } */
+              // @ts-ignore
+              const report = reports.get(service.key);
+              report.status = "failed";
+              report.error = error;
+              report.duration = 0;
+              if (isRequired(serviceName)) {
+                fail(error, report);
+              }
+              settle(service.key);
+            }
+          }
+          if (group.length === 0) {
+            continue;
+          }
+          /** @type { ResolverValue } */
+          // @ts-ignore
+          const resolver = this._resolvers.get(serviceName);
+          /** @type { ServiceReport[] } */
+          // @ts-ignore
+          const groupReports = group.map(({ key }) => reports.get(key));
+          const startedAt = Date.now();
+          /** @type { HookEvents["batchStart"] | undefined } */
+          let batch;
+          ++running;
+          Promise.resolve()
+            .then(() => {
+              batch = {
+                render: execution.render,
+                batch: this._hooks.nextId(),
+                service: serviceName,
+                keys: group.map(({ key }) => key),
+                records: records.reduce((sum, { length }) => sum + length, 0),
+                after: [],
+              };
+              for (const { key } of group) {
+                for (const parent of parentServices.get(key) || []) {
+                  if (!batch.after.includes(parent)) {
+                    batch.after.push(parent);
+                  }
+                }
+              }
+              this._hooks.emit("batchStart", batch);
+              records.forEach((list, i) => {
+                groupReports[i].args = group[i].fanOut ? list : list[0];
+              });
+              return this._resolve({
+                resolver,
+                services: group,
+                args: records.reduce((all, list) => all.concat(list), []),
+                execution,
+                onCache: (hits) =>
+                  splitBatch(hits, records).forEach((list, i) => {
+                    groupReports[i].cache = list.every(Boolean)
+                      ? "hit"
+                      : "miss";
+                  }),
+                onAttempt: (attempt) =>
+                  groupReports.forEach((report) => {
+                    if (report.cache !== "hit") {
+                      report.attempts = attempt;
+                    }
+                  }),
+              }).then((result) => splitBatch(result, records));
+            })
+            .then(
+              (result) => {
+                group.forEach(({ key, fanOut }, i) =>
+                  outputs.set(
+                    key,
+                    fanOut
+                      ? result[i].map((record) => record || {})
+                      : result[i][0] || {}
+                  )
                 );
+                for (const report of groupReports) {
+                  report.status = "resolved";
+                  report.duration = Date.now() - startedAt;
+                }
+                if (batch) {
+                  this._hooks.emit("batchEnd", {
+                    ...batch,
+                    duration: Date.now() - startedAt,
+                  });
+                }
               },
-            },
-          ];
-        })
-      )
-    );
-    return resolver;
-  }
+              (error) => {
+                for (const report of groupReports) {
+                  report.status = "failed";
+                  report.error = error;
+                  report.duration = Date.now() - startedAt;
+                }
+                if (batch) {
+                  this._hooks.emit("batchEnd", {
+                    ...batch,
+                    duration: Date.now() - startedAt,
+                    error,
+                  });
+                }
+                if (isTemplateError(error) || isRequired(serviceName)) {
+                  fail(error, groupReports[0]);
+                }
+              }
+            )
+            .then(() => {
+              for (const service of group) {
+                settle(service.key);
+              }
+              --running;
+              done();
+            });
+        }
+        done();
+      };
 
-  /**
-   * @param { string } name
-   * @param { ResolverCallback } resolver
-   * @param { ArgsModel } [argsModel={}]
-   */
-  registService(name, resolver, argsModel = {}) {
-    this._validateSystemResolver(name);
-    this._resolvers.set(name, {
-      callback: (args) => resolver(args),
-      argsModel,
+      for (const [key, parents] of parentServices.entries()) {
+        waiting.set(key, parents.size);
+      }
+      for (const [key, parents] of parentServices.entries()) {
+        if (parents.size === 0) {
+          // @ts-ignore
+          release(services.get(key));
+        }
+      }
+      done();
     });
   }
 
   /**
+   * Value of the variable from the first of its sources or fallbacks
+   * which has one. The variable is unavailable when none of its
+   * services has been resolved and there is no constant fallback.
+   * Constants and the arguments of the render are taken from the record.
+   *
    * @param { string } name
+   * @param { Map<string, ServiceOutput> } outputs results of the resolved services
+   * @param { Record<string, ResolverAvailableTypes> } record
+   * @returns { { available: boolean, value: ResolverAvailableTypes } }
    * @private
    */
-  _isSystemResolverName(name) {
-    return !!SYSTEM_SERVICE.find((sys) => sys === name);
+  _evaluate(name, outputs, record) {
+    const variable = this._context.variables.get(name);
+    if (!variable || variable.type === "const") {
+      return { available: true, value: record[name] };
+    }
+    let available = false;
+    for (const candidate of variableCandidates(variable)) {
+      if (candidate.type === "const") {
+        return { available: true, value: candidate.constant };
+      }
+      const { available: resolved, value } =
+        candidate.type === "ref"
+          ? {
+              available: outputs.has(candidate.service),
+              value: readOutput(
+                outputs.get(candidate.service),
+                candidate.fieldKey.split(FIELD_SEPARATOR)
+              ),
+            }
+          : candidate.type === "expr"
+            ? this._evaluateExpression(
+                `variable "$${name}"`,
+                candidate.expression,
+                candidate.location,
+                outputs,
+                record
+              )
+            : this._evaluate(candidate.variableName, outputs, record);
+      available = available || resolved;
+      if (resolved && value !== undefined) {
+        return { available, value };
+      }
+    }
+    return { available, value: undefined };
   }
 
   /**
-   * @param { string } name
+   * Value of the expression of a variable or a `when` clause, the
+   * failure of a function is reported at the declaration.
+   *
+   * @param { string } subject what the expression belongs to, for the error message
+   * @param { Expression } expression
+   * @param { SourceLocation | undefined } location
+   * @param { Map<string, ServiceOutput> } outputs
+   * @param { Record<string, ResolverAvailableTypes> } record
    * @private
    */
-  _validateSystemResolver(name) {
-    if (this._isSystemResolverName(name)) {
-      throw new TemplaterError(
-        `service "${name}" system and cannot be registered`
+  _evaluateExpression(subject, expression, location, outputs, record) {
+    try {
+      return evaluateExpression(expression, {
+        read: (operand) => this._evaluate(operand, outputs, record),
+        call: (callee, args) => this._callFunction(callee, args),
+      });
+    } catch (error) {
+      if (error instanceof TemplaterError) {
+        throw error;
+      }
+      throw this._context.createError(
+        `${subject} cannot be computed - ${
+          error instanceof Error ? error.message : error
+        }`,
+        ERROR_CODES.FUNCTION_FAILED,
+        location
       );
     }
   }
 
   /**
-   * @param { ResolverContext } context
+   * @param { string } name
+   * @param { ResolverAvailableTypes[] } args
+   * @private
    */
-  buildResolver(context) {
-    this._validateAvailabilityServices(context.services);
-    this._validateServiceProvideNames(context.services);
-
-    const rootServices = this._calculateRootServices(context);
-    const childrenServices = this._calculateChildrenServices(context);
-    const queueResolving = this._calculateQueueResolving({
-      rootServices,
-      childrenServices,
-    });
-
-    const queueResolvingGrouped = queueResolving.map((queue) => {
-      const queueGrouped = groupByField(queue, "name");
-      return {
-        queue,
-        queueGrouped,
-      };
-    });
-
-    /** @type { Record<string, ResolverAvailableTypes> } */
-    const variableBase = {};
-    /** @type { Map<string, Record<string, string[]>> } */
-    const serviceModels = new Map();
-    for (const [key, variable] of context.variables.entries()) {
-      if (variable.type === "ref") {
-        /** @type { Record<string, string[]> } */
-        const model = serviceModels.get(variable.service) || {};
-        serviceModels.set(variable.service, model);
-        model[variable.fieldKey] ??= [];
-        model[variable.fieldKey].push(key);
-      } else {
-        variableBase[key] = variable.constant;
-      }
+  _callFunction(name, args) {
+    /** @type { RegisteredFunction } */
+    // @ts-ignore
+    const { callback } = this._functions.get(name);
+    const value = callback(...args);
+    if (value instanceof Promise) {
+      // the promise is dropped, its rejection must not go unhandled
+      value.catch(() => {});
+      throw new Error(`function "${name}" must be synchronous`);
     }
-
-    const executor = new ResolverExecutor({
-      context,
-      variableBase,
-      serviceModels,
-      resolvers: this._resolvers,
-      queueResolving: queueResolvingGrouped,
-      childrenServices,
-    });
-
-    /**
-     * @param { Context } [context=undefined]
-     */
-    const resolver = (context) => {
-      return executor.execute(context);
-    };
-    return resolver;
+    return value;
   }
 
   /**
-   * @typedef RendererArgument
-   * @type { object }
-   * @property { string } render
-   * @property { string } text
-   * @property { Record<string, ResolverAvailableTypes> } record
-   */
-
-  /**
-   * @param { (props: RendererArgument) => string } [customRender=undefined]
+   * Records the service is called with, one for a service and one per
+   * element of the list arguments for a `Name[]` service.
+   *
+   * @param { Service } service
+   * @param { Record<string, ResolverAvailableTypes> } variable
+   * @returns { ResolverArgs[] }
+   * @private
    */
-  buildRenderer(customRender) {
-    const render =
-      customRender ??
-      (({ text, record }) => {
-        // @ts-ignore
-        return text.replace(/\{\{([a-z_]+)\}\}/g, (_, key) => {
-          return record[key];
-        });
-      });
-    /**
-     * @param { string } template
-     * @param { string[] } views
-     * @param { Context | undefined } [context=undefined]
-     */
-    return async (template, views, context = {}) => {
-      const parsedData = Parser.parse(template);
-      const resolver = this.buildResolver(parsedData.resolverContext);
-      const record = await resolver(context);
-      /** @type { Record<string, string> } */
-      const rendered = {};
-      for (const view of views) {
-        const template = parsedData.regions[view];
-        if (!template) {
-          throw new TemplaterError(`there is no #view named "${view}"`);
-        }
-        rendered[view] = render({
-          render: template.render,
-          text: template.text,
-          record,
-        });
-      }
-      return rendered;
-    };
+  _buildArguments(service, variable) {
+    /** @type { ResolverArgs } */
+    const args = {};
+    for (const dependency of service.dependencies) {
+      args[dependency.name] = variable[dependency.variableName];
+    }
+    return service.fanOut ? this._spreadArguments(service, args) : [args];
   }
 
   /**
-   * @param { Map<string, Service> } services
+   * The list arguments are walked together, the other ones are the same
+   * in every record.
+   *
+   * @param { Service } service
+   * @param { ResolverArgs } args
+   * @returns { ResolverArgs[] }
    * @private
    */
-  _validateAvailabilityServices(services) {
-    for (const { name } of services.values()) {
-      if (!this._resolvers.has(name) && !this._isSystemResolverName(name)) {
-        throw new TemplaterError(`service "${name}" has no implementation`);
-      }
+  _spreadArguments({ key, location }, args) {
+    const lists = Object.keys(args).filter((name) => Array.isArray(args[name]));
+    if (lists.length === 0) {
+      throw this._context.createError(
+        `service "@${key}" maps over a list but none of its arguments is one`,
+        ERROR_CODES.SERVICE_FAN_OUT,
+        location
+      );
     }
+    /** @param { string } name */
+    const listOf = (name) =>
+      /** @type { ResolverAvailableTypes[] } */ (args[name]);
+    const { length } = listOf(lists[0]);
+    const uneven = lists.find((name) => listOf(name).length !== length);
+    if (uneven) {
+      throw this._context.createError(
+        `arguments "${lists[0]}" and "${uneven}" of service "@${key}" are lists of different lengths`,
+        ERROR_CODES.SERVICE_FAN_OUT,
+        location
+      );
+    }
+    return Array.from({ length }, (_, i) => {
+      const record = { ...args };
+      for (const name of lists) {
+        record[name] = listOf(name)[i];
+      }
+      return record;
+    });
   }
+
   /**
-   * @param { Map<string, Service> } services
+   * Every field of the argument model must match one of its types.
+   *
+   * @param { ResolverValue } resolver
+   * @param { string } name
+   * @param { ResolverArgs[] } args
    * @private
    */
-  _validateServiceProvideNames(services) {
-    /** @type { Set<string> } */
-    const set = new Set();
-    for (const { name: key, dependencies } of services.values()) {
-      for (const { name: arg } of dependencies) {
-        const uuid = `${key}.${arg}`;
-        set.add(uuid);
-      }
-    }
-    for (const [key, { argsModel }] of this._resolvers.entries()) {
-      for (const arg of Object.keys(argsModel)) {
-        const uuid = `${key}.${arg}`;
-        if (!set.has(uuid)) {
+  _validateArguments({ argsModel }, name, args) {
+    for (const record of args) {
+      for (const key of Object.keys(argsModel)) {
+        const types = argsModel[key];
+        if (!types.some((type) => isValueOfType(record[key], type))) {
           throw new TemplaterError(
-            `missing required parameter "${arg}" in service "${key}"`
+            `field ${name}.${key} does not match types - "${types.join("; ")}"`,
+            { code: ERROR_CODES.SERVICE_ARGUMENT_TYPE }
           );
         }
-        set.add(`${key}.${arg}`);
       }
     }
   }
 
   /**
-   * @param { ResolverContext } context
+   * Fields of the returned records must match the output model of the
+   * service, absent fields are allowed.
+   *
+   * @param { ResolverValue } resolver
+   * @param { string } name
+   * @param { Record<string, ResolverAvailableTypes>[] } records
    * @private
    */
-  _calculateRootServices({ services, variables }) {
-    /** @type { Map<string, Service> } */
-    const rootServices = new Map();
-    for (const [key, service] of services.entries()) {
-      let dependenciesCount = 0;
-      for (const { variableName } of service.dependencies) {
-        const isReferenceDependency =
-          variables.get(variableName)?.type === "ref";
-        if (isReferenceDependency) {
-          ++dependenciesCount;
-        }
+  _validateOutput({ output }, name, records) {
+    if (!output) {
+      return;
+    }
+    for (const record of records) {
+      if (!isValueOfType(record, "object")) {
+        throw new TemplaterError(
+          `result of service ${name} must be a list of objects`,
+          { code: ERROR_CODES.SERVICE_OUTPUT_TYPE }
+        );
       }
-      if (dependenciesCount === 0) {
-        rootServices.set(key, service);
+      const mismatch = findOutputMismatch(output, record);
+      if (mismatch) {
+        throw new TemplaterError(
+          `field ${name}.${
+            mismatch.field
+          } of the result does not match types - "${mismatch.types.join("; ")}"`,
+          { code: ERROR_CODES.SERVICE_OUTPUT_TYPE }
+        );
       }
     }
-    return rootServices;
   }
 
   /**
-   * @param { ResolverContext } context
+   * Takes the results of the records from the cache of the service and
+   * calls the service only with the rest of them.
+   *
+   * @param { object } props
+   * @param { ResolverValue } props.resolver
+   * @param { Service[] } props.services
+   * @param { ResolverArgs[] } props.args
+   * @param { Execution } props.execution
+   * @param { (hits: boolean[]) => void } [props.onCache]
+   * @param { (attempt: number) => void } [props.onAttempt]
    * @private
    */
-  _calculateChildrenServices({ services, variables }) {
-    /** @type { Map<string, Map<string, Service>> } */
-    const childrenServices = new Map();
-    for (const [, childVariable] of variables.entries()) {
-      if (childVariable.type === "const") {
-        continue;
-      }
-      const childServiceName = childVariable.service;
-      /** @type { Service } */
+  async _resolve({ resolver, services, args, execution, onCache, onAttempt }) {
+    const { cache } = resolver;
+    const name = services[0].name;
+    this._validateArguments(resolver, name, args);
+
+    const keys = cache ? args.map((record) => cacheKey(name, record)) : [];
+    /** @type { (Record<string, ResolverAvailableTypes> | undefined)[] } */
+    const cached = cache
+      ? await Promise.all(keys.map((key) => cache.store.get(key)))
+      : [];
+    if (cache) {
+      onCache?.(keys.map((_, i) => cached[i] !== undefined));
+    }
+    const misses = args.map((_, i) => i).filter((i) => cached[i] === undefined);
+    if (misses.length === 0) {
       // @ts-ignore
-      const childService = services.get(childServiceName);
-      for (const { variableName } of childService.dependencies) {
-        const parentVariable = variables.get(variableName);
-        if (parentVariable?.type === "ref") {
-          const parentServiceName = parentVariable.service;
-          const parentMap =
-            childrenServices.get(parentServiceName) || new Map();
-          const childMap = childrenServices.get(childServiceName) || new Map();
-          childrenServices.set(
-            parentServiceName,
-            parentMap.set(childServiceName, childService)
-          );
-          childrenServices.set(childServiceName, childMap);
-        }
-      }
+      return cached;
     }
-    return childrenServices;
+
+    const result = await this._load({
+      resolver,
+      name,
+      args: misses.map((i) => args[i]),
+      execution,
+      onAttempt,
+    });
+    if (result.length !== misses.length) {
+      throw new TemplaterError("wrong result from resolver", {
+        code: ERROR_CODES.SERVICE_RESULT,
+      });
+    }
+    this._validateOutput(resolver, name, result);
+
+    if (cache) {
+      await Promise.all(
+        misses.map((index, i) =>
+          cache.store.set(keys[index], result[i], cache.ttl)
+        )
+      );
+    }
+    /** @type { Record<string, ResolverAvailableTypes>[] } */
+    // @ts-ignore
+    const merged = args.map((_, i) => cached[i]);
+    misses.forEach((index, i) => (merged[index] = result[i]));
+    return merged;
   }
 
   /**
+   * Calls the service right away or, when the calls are coalesced, with
+   * the records of the other renders in flight.
+   *
    * @param { object } props
-   * @param { Map<string, Map<string, Service>> } props.childrenServices
-   * @param { Map<string, Service> } props.rootServices
+   * @param { ResolverValue } props.resolver
+   * @param { string } props.name
+   * @param { ResolverArgs[] } props.args
+   * @param { Execution } props.execution
+   * @param { (attempt: number) => void } [props.onAttempt]
    * @private
    */
-  _calculateQueueResolving({ childrenServices, rootServices }) {
-    /** @type { Service[][] } */
-    const queueResolving = [];
-    for (let services = rootServices; services.size > 0; ) {
-      const queue = [...services.values()];
-      queueResolving.push(queue);
-
-      /** @type { Map<string, Service> } */
-      const nextServices = new Map();
-
-      for (const serviceName of services.keys()) {
-        const childs = childrenServices.get(serviceName);
-        if (!childs) {
-          continue;
-        }
+  _load({ resolver, name, args, execution, onAttempt }) {
+    const { coalescer } = execution;
+    if (!coalescer || SYSTEM_SERVICE.includes(name)) {
+      return this._call({ resolver, name, args, execution, onAttempt });
+    }
+    return runAbortable(
+      (signal) =>
+        coalescer.load(resolver, args, {
+          name,
+          signal,
+          onAttempt,
+          call: (records, signal, onAttempt) =>
+            this._call({
+              resolver,
+              name,
+              args: records,
+              execution: { args: {}, signal },
+              onAttempt,
+            }),
+        }),
+      { name, signal: execution.signal }
+    );
+  }
 
-        for (const [key, service] of childs.entries()) {
-          nextServices.set(key, service);
+  /**
+   * Calls the service, every attempt is limited by the timeout of the
+   * service and retried while the error is retryable.
+   *
+   * @param { object } props
+   * @param { ResolverValue } props.resolver
+   * @param { string } props.name
+   * @param { ResolverArgs[] } props.args
+   * @param { Execution } props.execution
+   * @param { (attempt: number) => void } [props.onAttempt]
+   * @private
+   */
+  async _call({ resolver, name, args, execution, onAttempt }) {
+    const {
+      callback,
+      timeout,
+      retries = 0,
+      backoff = 0,
+      retryable = () => true,
+    } = resolver;
+    const { signal } = execution;
+
+    /** @type { Record<string, ResolverAvailableTypes>[] } */
+    let result;
+    for (let attempt = 1; ; ++attempt) {
+      onAttempt?.(attempt);
+      try {
+        result = await runAbortable(
+          (signal) => callback(args, { ...execution, signal }),
+          { name, signal, timeout }
+        );
+        break;
+      } catch (error) {
+        if (
+          attempt > retries ||
+          signal.aborted ||
+          isTemplateError(error) ||
+          !retryable(error)
+        ) {
+          throw error;
         }
+        const wait =
+          typeof backoff === "function"
+            ? backoff(attempt)
+            : backoff * 2 ** (attempt - 1);
+        await delay(wait, { name, signal });
       }
-      services = nextServices;
     }
-    return queueResolving;
+    return result;
   }
 }
 
+/**
+ * @typedef RendererArgument
+ * @type { object }
+ * @property { string } render
+ * @property { string } text
+ * @property { Record<string, ResolverAvailableTypes> } record
+ * @property { ViewNode[] } nodes
+ * @property { (escape?: (value: string) => string) => string } interpolate substitutes the placeholders
+ *  applying their filters, values of not raw placeholders are passed through `escape`
+ *
+ * @typedef { (props: RendererArgument) => string } Renderer
+ *
+ * @typedef SerializedTemplate
+ * @type { object }
+ * @property { number } version
+ * @property { string } source
+ * @property { Record<string, ViewRegion> } regions
+ * @property { [string, Variable][] } variables
+ * @property { [string, Service][] } services
+ * @property { ArgumentDeclaration[] | undefined } args
+ * @property { [string, string][] } imports texts of the imported templates by their identifiers
+ */
+
+/**
+ * @typedef TemplateInspection
+ * @type { object }
+ * @property { (Variable & { name: string })[] } variables
+ * @property { (Service & { parents: string[] })[] } services with the keys of the services they wait for
+ * @property { { name: string, render: string, location?: SourceLocation }[] } views
+ * @property { string[][] } order keys of the services grouped by the depth of their dependencies
+ * @property { ArgumentDeclaration[] } [args] arguments of the #args region
+ *
+ * @typedef RenderManyOptions
+ * @type { object }
+ * @property { number } [concurrency=Infinity] how many contexts are rendered at the same time,
+ *  a positive integer
+ * @property { Renderer } [render] renderer for all the views instead of the ones chosen by their tags
+ *
+ * @typedef { { status: "fulfilled", views: Record<string, string>, report: RenderReport }
+ *  | { status: "rejected", error: unknown } } RenderManyResult
+ */
+
+class CompiledTemplate {
+  /**
+   * @param { object } props
+   * @param { Record<string, ViewRegion> } props.regions
+   * @param { ResolverContext } props.resolverContext
+   * @param { ResolverExecutor } props.executor
+   * @param { Map<string, Filter> } props.filters
+   * @param { Map<string, Renderer> } props.renderers
+   * @param { Hooks } [props.hooks] notified of the renders
+   * @param { ResolverOptions["coalesce"] } [props.coalesce] options of the coalescer of `renderMany`,
+   *  the window of which is one tick by default
+   */
+  constructor({
+    regions,
+    resolverContext,
+    executor,
+    filters,
+    renderers,
+    hooks = new Hooks(),
+    coalesce,
+  }) {
+    this.regions = regions;
+    this.resolverContext = resolverContext;
+    this._executor = executor;
+    this._filters = filters;
+    this._renderers = renderers;
+    this._hooks = hooks;
+    this._coalesce = typeof coalesce === "object" ? coalesce : {};
+  }
+
+  /**
+   * Arguments declared in the #args region, any arguments are accepted
+   * when the template has no such region.
+   *
+   * @returns { ArgumentDeclaration[] | undefined }
+   */
+  get argumentsSchema() {
+    return this.resolverContext.args;
+  }
+
+  /**
+   * Checks the arguments against the #args region without rendering.
+   *
+   * @param { Arguments } args
+   * @returns { TemplaterError[] }
+   */
+  validateArguments(args) {
+    const declarations = this.resolverContext.args;
+    return declarations
+      ? checkArguments(declarations, args, this.resolverContext).errors
+      : [];
+  }
+
+  /**
+   * @param { Context } [context=undefined]
+   */
+  resolve(context) {
+    return this._executor.execute(context);
+  }
+
+  /**
+   * @param { string[] } views
+   * @param { Context } [context={}]
+   * @param { Renderer } [render=undefined] renderer for all the views instead of the ones
+   *  chosen by their tags
+   */
+  async render(views, context = {}, render) {
+    const { views: rendered } = await this.renderWithReport(
+      views,
+      context,
+      render
+    );
+    return rendered;
+  }
+
+  /**
+   * Renders the views along with the report on every service of the
+   * template.
+   *
+   * @param { string[] } views
+   * @param { Context } [context={}]
+   * @param { Renderer } [render=undefined] renderer for all the views instead of the ones
+   *  chosen by their tags
+   */
+  async renderWithReport(views, context = {}, render) {
+    return this._render(this._findRegions(views), context, render);
+  }
+
+  /**
+   * Renders the views for every context. The contexts rendered at the
+   * same time share the calls of the services, a failed render does not
+   * affect the others.
+   *
+   * @param { string[] } views
+   * @param { Context[] } contexts
+   * @param { RenderManyOptions } [options={}]
+   * @returns { Promise<RenderManyResult[]> }
+   */
+  async renderMany(views, contexts, { concurrency = Infinity, render } = {}) {
+    if (
+      concurrency !== Infinity &&
+      !(Number.isInteger(concurrency) && concurrency > 0)
+    ) {
+      throw new TemplaterError(
+        `concurrency must be a positive integer, got ${concurrency}`,
+        { code: ERROR_CODES.INVALID_CONCURRENCY }
+      );
+    }
+    const regions = this._findRegions(views);
+    const coalescer = new Coalescer(this._coalesce);
+    /** @type { RenderManyResult[] } */
+    const results = [];
+    let next = 0;
+    const worker = async () => {
+      while (next < contexts.length) {
+        const index = next++;
+        try {
+          const { views, report } = await this._render(
+            regions,
+            contexts[index],
+            render,
+            coalescer
+          );
+          results[index] = { status: "fulfilled", views, report };
+        } catch (error) {
+          results[index] = { status: "rejected", error };
+        }
+      }
+    };
+    const workers = Math.max(1, Math.min(concurrency, contexts.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+  }
+
+  /**
+   * @param { string[] } views
+   * @private
+   */
+  _findRegions(views) {
+    return views.map((view) => {
+      const region = this.regions[view];
+      if (!region) {
+        throw new TemplaterError(`there is no #view named "${view}"`, {
+          code: ERROR_CODES.VIEW_NOT_FOUND,
+        });
+      }
+      return region;
+    });
+  }
+
+  /**
+   * @param { ViewRegion[] } regions
+   * @param { Context } context
+   * @param { Renderer } [render]
+   * @param { Coalescer } [coalescer]
+   * @private
+   */
+  async _render(regions, context, render, coalescer) {
+    const id = this._hooks.nextId();
+    const views = regions.map(({ name }) => name);
+    const startedAt = Date.now();
+    this._hooks.emit("renderStart", { render: id, views });
+    try {
+      const { variables: record, report } = await this._executor.run(context, {
+        coalescer,
+        render: id,
+      });
+      /** @type { Record<string, string> } */
+      const rendered = {};
+      for (const region of regions) {
+        /** @type { Renderer } */
+        // @ts-ignore
+        const renderer = render ?? this._renderers.get(region.render);
+        const viewStartedAt = Date.now();
+        rendered[region.name] = renderer({
+          render: region.render,
+          text: region.text,
+          record,
+          nodes: region.nodes,
+          interpolate: (escape) =>
+            renderView(region.nodes, {
+              record,
+              filters: this._filters,
+              escape,
+            }),
+        });
+        this._hooks.emit("view", {
+          render: id,
+          view: region.name,
+          renderer: region.render,
+          duration: Date.now() - viewStartedAt,
+        });
+      }
+      this._hooks.emit("renderEnd", {
+        render: id,
+        views,
+        duration: Date.now() - startedAt,
+        status: report.status,
+      });
+      return { views: rendered, report };
+    } catch (error) {
+      this._hooks.emit("renderEnd", {
+        render: id,
+        views,
+        duration: Date.now() - startedAt,
+        error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Plain JSON form of the template which can be restored by
+   * `Resolver.deserialize` without parsing the template again.
+   *
+   * @returns { SerializedTemplate }
+   */
+  serialize() {
+    return {
+      version: COMPILED_TEMPLATE_VERSION,
+      source: this.resolverContext.source?.text ?? "",
+      regions: this.regions,
+      ...this.resolverContext.toJSON(),
+    };
+  }
+}
+
+class Resolver {
+  /**
+   * @typedef { Record<string, ValueType[]> } ArgsModel
+   *
+   * @typedef ServiceOptions
+   * @type { object }
+   * @property { boolean } [required=false] fail the render when the service fails
+   * @property { number } [timeout] milliseconds given to every attempt, no limit by default
+   * @property { number } [retries=0] how many times a failed call is repeated
+   * @property { number | ((attempt: number) => number) } [backoff=0] milliseconds before
+   *  the next attempt, a number is doubled after every attempt
+   * @property { (error: unknown) => boolean } [retryable] whether the failed call is repeated, all errors by default
+   * @property { boolean | ServiceCacheOptions } [cache=false] reuse the results of the same records across renders
+   * @property { ServiceOutputModel } [output] fields of the returned records, the template may refer
+   *  only to them and the results are checked against their types
+   *
+   * @typedef ServiceCacheOptions
+   * @type { object }
+   * @property { number } [ttl] milliseconds the result is kept, forever by default
+   * @property { ServiceCacheStore } [store] in-memory LRU store by default
+   *
+   * @typedef ResolverValue
+   * @type { object }
+   * @property { ArgsModel } argsModel
+   * @property { (args: ResolverArgs[], execution: Execution) => ReturnType<ResolverCallback> } callback
+   * @property { boolean } [required]
+   * @property { number } [timeout]
+   * @property { number } [retries]
+   * @property { ServiceOptions["backoff"] } [backoff]
+   * @property { ServiceOptions["retryable"] } [retryable]
+   * @property { { ttl?: number, store: ServiceCacheStore } } [cache]
+   * @property { ServiceOutputModel } [output]
+   *
+   * @typedef { (...args: any[]) => ResolverAvailableTypes } ExpressionFunction
+   *
+   * @typedef RegisteredFunction
+   * @type { object }
+   * @property { ExpressionFunction } callback
+   * @property { number } arity
+   */
+
+  /**
+   * @typedef ResolverOptions
+   * @type { object }
+   * @property { boolean } [collectErrors=false] report all template errors together instead of the first one
+   * @property { number } [templateCacheSize=100] how many compiled templates are kept by `compile`
+   * @property { FailurePolicy } [failurePolicy="continue"] whether a failed service fails the render
+   *  or only the services depending on it are skipped
+   * @property { TemplateLoader } [loader] loads the templates of the `#import` directives, they are
+   *  loaded again by `compile` to find out whether the cached template is stale
+   * @property { boolean | { window?: number } } [coalesce=false] gather the calls of the same service
+   *  made by the concurrent renders within the window in milliseconds, one tick by default,
+   *  into a single call with the unique records
+   * @property { ServiceMode } [serviceMode="live"] how the services are answered - by the registered
+   *  callbacks, by them with their results kept in the fixture (`record`), from the fixture
+   *  (`replay`) or by the placeholder values (`stub`), the last two need no registered services
+   * @property { ServiceFixture } [fixture] results of the recorded calls, an empty one by default
+   */
+
+  /**
+   * @param { Map<string, ResolverValue> } resolvers
+   * @param { ResolverOptions } [options]
+   */
+  constructor(resolvers, options = {}) {
+    this._resolvers = resolvers;
+    this._options = options;
+    /** @type { Coalescer | undefined } */
+    this._coalescer = options.coalesce
+      ? new Coalescer(options.coalesce === true ? {} : options.coalesce)
+      : undefined;
+    /** @type { LRUCache<string, CompiledTemplate> } */
+    this._templates = new LRUCache(
+      options.templateCacheSize ?? DEFAULT_TEMPLATE_CACHE_SIZE
+    );
+    /** @type { Map<string, Filter> } */
+    this._filters = new Map(
+      Object.keys(BUILTIN_FILTERS).map((name) => [name, BUILTIN_FILTERS[name]])
+    );
+    /** @type { Map<string, RegisteredFunction> } */
+    this._functions = new Map();
+    this._hooks = new Hooks();
+    this._fixture = options.fixture ?? new ServiceFixture();
+    /** @type { Map<string, Renderer> } */
+    this._renderers = new Map(
+      Object.keys(BUILTIN_RENDERERS).map((name) => [
+        name,
+        BUILTIN_RENDERERS[name],
+      ])
+    );
+  }
+
+  /**
+   * @param { ResolverOptions } [options]
+   */
+  static create(options = {}) {
+    const resolver = new Resolver(
+      new Map(
+        SYSTEM_SERVICE.map((name) => {
+          return [
+            name,
+            {
+              argsModel: {},
+              /** @type { ResolverValue["callback"] } */
+              callback: (records, execution) => {
+                return records.map(() => execution.args);
+              },
+            },
+          ];
+        })
+      ),
+      options
+    );
+    return resolver;
+  }
+
+  /**
+   * @param { string } name
+   * @param { ResolverCallback } resolver
+   * @param { ArgsModel } [argsModel={}]
+   * @param { ServiceOptions } [options={}]
+   */
+  registService(name, resolver, argsModel = {}, options = {}) {
+    const {
+      required = false,
+      timeout,
+      retries,
+      backoff,
+      retryable,
+      output,
+    } = options;
+    const cache = options.cache === true ? {} : options.cache || undefined;
+    this._validateSystemResolver(name);
+    this._templates.clear();
+    this._resolvers.set(name, {
+      callback: (args, { signal }) => resolver(args, { signal }),
+      argsModel,
+      required,
+      timeout,
+      retries,
+      backoff,
+      retryable,
+      output,
+      cache: cache && {
+        ttl: cache.ttl,
+        store: cache.store || new MemoryCacheStore(),
+      },
+    });
+  }
+
+  /**
+   * Registers the filter for the view placeholders - `{{name | filter}}`.
+   *
+   * @param { string } name
+   * @param { Filter } filter
+   */
+  registFilter(name, filter) {
+    if (!REGEXP_FILTER_NAME.test(name)) {
+      throw new TemplaterError(`invalid filter name "${name}"`, {
+        code: ERROR_CODES.FILTER_NAME,
+      });
+    }
+    this._templates.clear();
+    this._filters.set(name, filter);
+  }
+
+  /**
+   * Registers the synchronous function for the expressions of #data -
+   * `$id = lower($user_id)`. Calls are checked against the arity, which
+   * is the number of the declared parameters by default. Async functions
+   * are rejected, they belong to the services.
+   *
+   * @param { string } name
+   * @param { ExpressionFunction } callback
+   * @param { { arity?: number } } [options={}]
+   */
+  registFunction(name, callback, { arity = callback.length } = {}) {
+    if (!REGEXP_FUNCTION_NAME.test(name)) {
+      throw new TemplaterError(`invalid function name "${name}"`, {
+        code: ERROR_CODES.FUNCTION_NAME,
+      });
+    }
+    if (callback.constructor.name === "AsyncFunction") {
+      throw new TemplaterError(`function "${name}" must be synchronous`, {
+        code: ERROR_CODES.FUNCTION_ASYNC,
+      });
+    }
+    this._templates.clear();
+    this._functions.set(name, { callback, arity });
+  }
+
+  /**
+   * Registers the renderer for the views with the tag - `#view(name)[tag]`.
+   *
+   * @param { string } name
+   * @param { Renderer } renderer
+   */
+  registRenderer(name, renderer) {
+    if (!REGEXP_RENDERER_NAME.test(name)) {
+      throw new TemplaterError(`invalid renderer name "${name}"`, {
+        code: ERROR_CODES.RENDERER_NAME,
+      });
+    }
+    this._templates.clear();
+    this._renderers.set(name, renderer);
+  }
+
+  /**
+   * Fixture the `record` mode keeps the results in and the `replay`
+   * mode answers from.
+   */
+  get fixture() {
+    return this._fixture;
+  }
+
+  /**
+   * Registers the hook called on the lifecycle event of the resolver -
+   * the start and the end of a render, parsing and compiling of a
+   * template, the start and the end of a batch of the service calls and
+   * a rendered view. The hooks apply to the already compiled templates.
+   *
+   * @template { keyof HookEvents } E
+   * @param { E } event
+   * @param { (event: HookEvents[E]) => void } hook
+   * @returns { () => void } removes the hook
+   */
+  registHook(event, hook) {
+    return this._hooks.regist(event, hook);
+  }
+
+  /**
+   * @param { string } name
+   * @private
+   */
+  _isSystemResolverName(name) {
+    return !!SYSTEM_SERVICE.find((sys) => sys === name);
+  }
+
+  /**
+   * @param { string } name
+   * @private
+   */
+  _validateSystemResolver(name) {
+    if (this._isSystemResolverName(name)) {
+      throw new TemplaterError(
+        `service "${name}" system and cannot be registered`,
+        { code: ERROR_CODES.SERVICE_SYSTEM }
+      );
+    }
+  }
+
+  /**
+   * @param { ResolverContext } context
+   */
+  buildResolver(context) {
+    const diagnostics = new Diagnostics(this._options.collectErrors);
+    const executor = this._buildExecutor(context, diagnostics);
+    diagnostics.throwIfAny();
+
+    /**
+     * @param { Context } [context=undefined]
+     */
+    const resolver = (context) => {
+      return executor.execute(context);
+    };
+    return resolver;
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _buildExecutor(context, diagnostics) {
+    this._validateAvailabilityServices(context, diagnostics);
+    this._validateServiceProvideNames(context, diagnostics);
+    this._validateServiceReferences(context, diagnostics);
+    this._validateArgumentReferences(context, diagnostics);
+    this._validateFieldReferences(context, diagnostics);
+    this._validateExpressions(context, diagnostics);
+    this._validateFanOutArguments(context, diagnostics);
+    diagnostics.throwIfAny();
+
+    const plan = this.buildPlan(context, diagnostics);
+
+    /** @type { Record<string, ResolverAvailableTypes> } */
+    const variableBase = {};
+    for (const [key, variable] of context.variables.entries()) {
+      if (variable.type === "const") {
+        variableBase[key] = variable.constant;
+      }
+    }
+
+    return new ResolverExecutor({
+      context,
+      variableBase,
+      resolvers: this._executorResolvers(context),
+      functions: this._functions,
+      plan,
+      failurePolicy: this._options.failurePolicy,
+      coalescer: this._coalescer,
+      hooks: this._hooks,
+    });
+  }
+
+  /**
+   * Services answering the template in the service mode of the resolver.
+   *
+   * @param { ResolverContext } context
+   * @returns { Map<string, ResolverValue> }
+   * @private
+   */
+  _executorResolvers(context) {
+    const { serviceMode: mode = "live" } = this._options;
+    if (mode === "live") {
+      return this._resolvers;
+    }
+    const resolvers = new Map(this._resolvers);
+    for (const { name } of context.services.values()) {
+      const registered = this._resolvers.get(name);
+      if (
+        this._isSystemResolverName(name) ||
+        (mode === "record" && !registered)
+      ) {
+        continue;
+      }
+      const callback = fixtureCallback(name, registered?.callback, {
+        mode,
+        fixture: this._fixture,
+        output: registered?.output,
+        fields: readFields(context, name),
+      });
+      resolvers.set(
+        name,
+        registered && mode === "record"
+          ? { ...registered, cache: undefined, callback }
+          : {
+              argsModel: registered?.argsModel ?? {},
+              output: registered?.output,
+              required: registered?.required,
+              callback,
+            }
+      );
+    }
+    return resolvers;
+  }
+
+  /**
+   * Parses the template and builds its resolver once. Compiled templates
+   * are cached by the template text, a cached one is compiled again when
+   * the templates it imports have changed.
+   *
+   * @param { string } template
+   */
+  compile(template) {
+    const cached = this._templates.get(template);
+    if (cached && !this._importsChanged(cached)) {
+      return cached;
+    }
+    const diagnostics = new Diagnostics(this._options.collectErrors);
+    const { regions, resolverContext } = this._stage("parse", () =>
+      new Parser(template, diagnostics, {
+        loader: this._options.loader,
+      }).parse()
+    );
+    const compiled = this._stage("compile", () =>
+      this._compile(regions, resolverContext, diagnostics)
+    );
+    this._templates.set(template, compiled);
+    return compiled;
+  }
+
+  /**
+   * Whether the loader gives other texts of the templates imported by the
+   * compiled one than it was compiled from, or fails to load them.
+   *
+   * @param { CompiledTemplate } compiled
+   * @private
+   */
+  _importsChanged({ resolverContext }) {
+    const { loader } = this._options;
+    for (const [file, { text }] of resolverContext.sources.entries()) {
+      try {
+        if (!loader || loader.load(file) !== text) {
+          return true;
+        }
+      } catch (error) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param { SerializedTemplate } serialized
+   */
+  deserialize(serialized) {
+    if (serialized?.version !== COMPILED_TEMPLATE_VERSION) {
+      throw new TemplaterError(
+        `unsupported compiled template version "${serialized?.version}"`,
+        { code: ERROR_CODES.COMPILED_TEMPLATE_VERSION }
+      );
+    }
+    const resolverContext = ResolverContext.fromJSON(
+      serialized,
+      new Source(serialized.source)
+    );
+    return this._stage("compile", () =>
+      this._compile(
+        serialized.regions,
+        resolverContext,
+        new Diagnostics(this._options.collectErrors)
+      )
+    );
+  }
+
+  /**
+   * Runs the stage of compiling and reports its duration to the hooks.
+   *
+   * @template T
+   * @param { "parse" | "compile" } event
+   * @param { () => T } callback
+   * @returns { T }
+   * @private
+   */
+  _stage(event, callback) {
+    const startedAt = Date.now();
+    try {
+      const result = callback();
+      this._hooks.emit(event, { duration: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      this._hooks.emit(event, { duration: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } resolverContext
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _compile(regions, resolverContext, diagnostics) {
+    this._validateFilters(regions, resolverContext, diagnostics);
+    this._validateRenderers(regions, resolverContext, diagnostics);
+    const executor = this._buildExecutor(resolverContext, diagnostics);
+    diagnostics.throwIfAny();
+    return new CompiledTemplate({
+      regions,
+      resolverContext,
+      executor,
+      filters: this._filters,
+      renderers: this._renderers,
+      hooks: this._hooks,
+      coalesce: this._options.coalesce,
+    });
+  }
+
+  /**
+   * @param { Renderer } [customRender=undefined]
+   */
+  buildRenderer(customRender) {
+    /**
+     * @param { string } template
+     * @param { string[] } views
+     * @param { Context | undefined } [context=undefined]
+     */
+    return async (template, views, context = {}) => {
+      return this.compile(template).render(views, context, customRender);
+    };
+  }
+
+  /**
+   * Renders the template for every context, see `CompiledTemplate.renderMany`.
+   *
+   * @param { string } template
+   * @param { string[] } views
+   * @param { Context[] } contexts
+   * @param { RenderManyOptions } [options={}]
+   */
+  renderMany(template, views, contexts, options = {}) {
+    return this.compile(template).renderMany(views, contexts, options);
+  }
+
+  /**
+   * Declarations of the template and the order its services are
+   * resolved in, the services do not have to be registered.
+   *
+   * @param { string } template
+   * @returns { TemplateInspection }
+   */
+  inspect(template) {
+    const diagnostics = new Diagnostics(this._options.collectErrors);
+    const { regions, resolverContext } = new Parser(template, diagnostics, {
+      loader: this._options.loader,
+    }).parse();
+    diagnostics.throwIfAny();
+    const { parentServices, queueResolving } = this.buildPlan(
+      resolverContext,
+      diagnostics
+    );
+    return {
+      variables: [...resolverContext.variables.entries()].map(
+        ([name, variable]) => ({ name, ...variable })
+      ),
+      services: [...resolverContext.services.values()].map((service) => ({
+        ...service,
+        parents: [...(parentServices.get(service.key) || [])],
+      })),
+      views: Object.keys(regions).map((name) => ({
+        name,
+        render: regions[name].render,
+        location: regions[name].location,
+      })),
+      order: queueResolving.map((level) => level.map(({ key }) => key)),
+      args: resolverContext.args,
+    };
+  }
+
+  /**
+   * Graph of the services of the template and the values passed
+   * between them, see `toDot` and `toMermaid` of the graph module.
+   *
+   * @param { string } template
+   * @param { object } [options={}]
+   * @param { string[] } [options.views] marks the nodes these views need
+   * @returns { DependencyGraph }
+   */
+  graph(template, { views } = {}) {
+    const diagnostics = new Diagnostics(this._options.collectErrors);
+    const { regions, resolverContext } = new Parser(template, diagnostics, {
+      loader: this._options.loader,
+    }).parse();
+    diagnostics.throwIfAny();
+    const { queueResolving } = this.buildPlan(resolverContext, diagnostics);
+
+    /** @type { Record<string, ViewRegion> } */
+    const selected = {};
+    for (const view of views || []) {
+      if (!regions[view]) {
+        throw new TemplaterError(`there is no #view named "${view}"`, {
+          code: ERROR_CODES.VIEW_NOT_FOUND,
+        });
+      }
+      selected[view] = regions[view];
+    }
+    return buildGraph({
+      context: resolverContext,
+      queueResolving,
+      systemServices: SYSTEM_SERVICE,
+      used: views && this._findUsedDeclarations(selected, resolverContext),
+    });
+  }
+
+  /**
+   * Statically checks the template against the registered services
+   * without running them.
+   *
+   * @param { string } template
+   * @returns { TemplateDiagnostic[] }
+   */
+  check(template) {
+    const diagnostics = new Diagnostics(true);
+    /** @type { TemplateDiagnostic[] } */
+    const warnings = [];
+    try {
+      const { regions, resolverContext } = new Parser(template, diagnostics, {
+        loader: this._options.loader,
+      }).parse();
+      this._validateAvailabilityServices(resolverContext, diagnostics);
+      this._validateServiceProvideNames(resolverContext, diagnostics);
+      this._validateServiceReferences(resolverContext, diagnostics);
+      this._validateArgumentReferences(resolverContext, diagnostics);
+      this._validateFieldReferences(resolverContext, diagnostics);
+      this._validateServiceArguments(resolverContext, diagnostics);
+      this._validateVariableReferences(resolverContext, diagnostics);
+      this._validateExpressions(resolverContext, diagnostics);
+      this._validateFanOutArguments(resolverContext, diagnostics);
+      this._validatePlaceholders(regions, resolverContext, diagnostics);
+      this._validateFilters(regions, resolverContext, diagnostics);
+      this._validateRenderers(regions, resolverContext, diagnostics);
+      this.buildPlan(resolverContext, diagnostics);
+      warnings.push(...this._findUnusedDeclarations(regions, resolverContext));
+    } catch (error) {
+      if (!(error instanceof TemplaterDiagnosticsError)) {
+        throw error;
+      }
+    }
+    return [
+      ...diagnostics.errors.map((error) => error.toDiagnostic()),
+      ...warnings,
+    ].sort(
+      (a, b) =>
+        (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0)
+    );
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateServiceReferences(context, diagnostics) {
+    for (const [key, variable] of context.variables.entries()) {
+      for (const candidate of variableCandidates(variable)) {
+        if (
+          candidate.type === "ref" &&
+          !context.services.has(candidate.service)
+        ) {
+          diagnostics.report(
+            context.createError(
+              `variable "$${key}" refers to undeclared service "@${candidate.service}"`,
+              ERROR_CODES.UNKNOWN_SERVICE,
+              variable.location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Fields referred by the variables must be provided by the services
+   * which declare their output.
+   *
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateFieldReferences(context, diagnostics) {
+    for (const [key, variable] of context.variables.entries()) {
+      for (const candidate of variableCandidates(variable)) {
+        if (candidate.type !== "ref") {
+          continue;
+        }
+        const service = context.services.get(candidate.service);
+        const { output } = (service && this._resolvers.get(service.name)) || {};
+        if (
+          service &&
+          output &&
+          !hasOutputField(output, candidate.fieldKey.split(FIELD_SEPARATOR))
+        ) {
+          diagnostics.report(
+            context.createError(
+              `variable "$${key}" refers to field "${candidate.fieldKey}" which service "${service.name}" does not provide`,
+              ERROR_CODES.UNKNOWN_FIELD,
+              variable.location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Fields of the `Arguments` services must be declared in the #args
+   * region when the template has one.
+   *
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateArgumentReferences(context, diagnostics) {
+    if (!context.args) {
+      return;
+    }
+    const declared = new Set(context.args.map(({ name }) => name));
+    for (const [key, variable] of context.variables.entries()) {
+      for (const candidate of variableCandidates(variable)) {
+        if (
+          candidate.type !== "ref" ||
+          declared.has(candidate.fieldKey.split(FIELD_SEPARATOR)[0])
+        ) {
+          continue;
+        }
+        const service = context.services.get(candidate.service);
+        if (service && this._isSystemResolverName(service.name)) {
+          diagnostics.report(
+            context.createError(
+              `variable "$${key}" refers to argument "${candidate.fieldKey}" which is not declared in ${TAG_ARGS}`,
+              ERROR_CODES.UNKNOWN_ARGUMENT,
+              variable.location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateVariableReferences(context, diagnostics) {
+    for (const { key, dependencies } of context.services.values()) {
+      for (const { variableName, location } of dependencies) {
+        if (!isInputName(context, variableName)) {
+          diagnostics.report(
+            context.createError(
+              `service "@${key}" refers to undeclared variable "$${variableName}"`,
+              ERROR_CODES.UNKNOWN_VARIABLE,
+              location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Variables of the expressions must be declared and must not depend
+   * on each other in a cycle, the called functions must be registered
+   * and get as many arguments as they expect.
+   *
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateExpressions(context, diagnostics) {
+    /** @type { Map<string, Set<string>> } */
+    const references = new Map();
+    for (const [key, variable] of context.variables.entries()) {
+      /** @type { Set<string> } */
+      const names = new Set();
+      for (const candidate of variableCandidates(variable)) {
+        if (candidate.type === "expr") {
+          expressionVariables(candidate.expression).forEach((name) =>
+            names.add(name)
+          );
+          for (const { name, args } of expressionCalls(candidate.expression)) {
+            this._validateFunctionCall(context, diagnostics, {
+              subject: `variable "$${key}"`,
+              name,
+              count: args.length,
+              location: variable.location,
+            });
+          }
+        } else if (candidate.type === "variable") {
+          names.add(candidate.variableName);
+        }
+      }
+      for (const name of names) {
+        if (!isInputName(context, name)) {
+          diagnostics.report(
+            context.createError(
+              `variable "$${key}" refers to undeclared variable "$${name}"`,
+              ERROR_CODES.UNKNOWN_VARIABLE,
+              variable.location
+            )
+          );
+        }
+      }
+      references.set(key, names);
+    }
+    for (const { key, guard, location } of context.services.values()) {
+      if (!guard) {
+        continue;
+      }
+      const subject = `condition of service "@${key}"`;
+      for (const name of expressionVariables(guard)) {
+        if (!isInputName(context, name)) {
+          diagnostics.report(
+            context.createError(
+              `${subject} refers to undeclared variable "$${name}"`,
+              ERROR_CODES.UNKNOWN_VARIABLE,
+              location
+            )
+          );
+        }
+      }
+      for (const { name, args } of expressionCalls(guard)) {
+        this._validateFunctionCall(context, diagnostics, {
+          subject,
+          name,
+          count: args.length,
+          location,
+        });
+      }
+    }
+    const cycle = this._findDependencyCycle(references);
+    if (cycle) {
+      diagnostics.report(
+        context.createError(
+          `variables depend on each other - ${cycle
+            .map((name) => `$${name}`)
+            .join(" -> ")}`,
+          ERROR_CODES.DEPENDENCY_CYCLE,
+          context.variables.get(cycle[0])?.location
+        )
+      );
+    }
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @param { object } call
+   * @param { string } call.subject what makes the call, for the error message
+   * @param { string } call.name
+   * @param { number } call.count number of the passed arguments
+   * @param { SourceLocation } [call.location]
+   * @private
+   */
+  _validateFunctionCall(
+    context,
+    diagnostics,
+    { subject, name, count, location }
+  ) {
+    const registered = this._functions.get(name);
+    if (!registered) {
+      diagnostics.report(
+        context.createError(
+          `${subject} calls unknown function "${name}"`,
+          ERROR_CODES.UNKNOWN_FUNCTION,
+          location
+        )
+      );
+    } else if (registered.arity !== count) {
+      diagnostics.report(
+        context.createError(
+          `function "${name}" expects ${registered.arity} argument(s), ${subject} passes ${count}`,
+          ERROR_CODES.FUNCTION_ARITY,
+          location
+        )
+      );
+    }
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateServiceArguments(context, diagnostics) {
+    for (const { name, dependencies } of context.services.values()) {
+      const { argsModel } = this._resolvers.get(name) || {};
+      if (!argsModel || Object.keys(argsModel).length === 0) {
+        continue;
+      }
+      for (const { name: arg, location } of dependencies) {
+        if (!(arg in argsModel)) {
+          diagnostics.report(
+            context.createError(
+              `service "${name}" does not accept parameter "${arg}"`,
+              ERROR_CODES.SERVICE_UNKNOWN_ARGUMENT,
+              location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * A `Name[]` service must get a list argument, reported when the types
+   * of all its arguments are known and none of them is a list.
+   *
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateFanOutArguments(context, diagnostics) {
+    for (const {
+      key,
+      fanOut,
+      dependencies,
+      location,
+    } of context.services.values()) {
+      if (
+        fanOut &&
+        dependencies.every(
+          ({ variableName }) =>
+            this._isListInput(context, variableName, new Set()) === false
+        )
+      ) {
+        diagnostics.report(
+          context.createError(
+            `service "@${key}" maps over a list but none of its arguments is one`,
+            ERROR_CODES.SERVICE_FAN_OUT,
+            location
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Whether the value of the variable or the argument is a list, undefined
+   * when its type is not known before the render.
+   *
+   * @param { ResolverContext } context
+   * @param { string } name
+   * @param { Set<string> } seen variables already walked, against the cycles
+   * @returns { boolean | undefined }
+   * @private
+   */
+  _isListInput(context, name, seen) {
+    const variable = context.variables.get(name);
+    if (!variable) {
+      const declaration = context.args?.find((arg) => arg.name === name);
+      return declaration && declaration.type.endsWith("[]");
+    }
+    if (seen.has(name)) {
+      return undefined;
+    }
+    seen.add(name);
+    /** @type { (boolean | undefined)[] } */
+    const lists = variableCandidates(variable).map((candidate) => {
+      if (candidate.type === "const") {
+        return false;
+      }
+      if (candidate.type === "variable") {
+        return this._isListInput(context, candidate.variableName, seen);
+      }
+      if (candidate.type === "expr") {
+        const { expression } = candidate;
+        return expression.type === "variable"
+          ? expression.path.length === 0
+            ? this._isListInput(context, expression.name, seen)
+            : undefined
+          : expression.type === "call"
+            ? undefined
+            : false;
+      }
+      const service = context.services.get(candidate.service);
+      const path = candidate.fieldKey.split(FIELD_SEPARATOR);
+      if (!service) {
+        return undefined;
+      }
+      if (this._isSystemResolverName(service.name)) {
+        return path.length === 1
+          ? this._isListInput(context, path[0], seen)
+          : undefined;
+      }
+      if (service.fanOut) {
+        return true;
+      }
+      const { output } = this._resolvers.get(service.name) || {};
+      const types = output && outputFieldTypes(output, path);
+      return types && types.some((type) => type.endsWith("[]"));
+    });
+    return lists.includes(true)
+      ? true
+      : lists.includes(undefined)
+        ? undefined
+        : false;
+  }
+
+  /**
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validatePlaceholders(regions, context, diagnostics) {
+    for (const region of Object.keys(regions).map((key) => regions[key])) {
+      for (const { name, location } of findPlaceholders(region)) {
+        if (!context.variables.has(name)) {
+          diagnostics.report(
+            context.createError(
+              `placeholder "{{${name}}}" in #view(${region.name}) is not declared in #data`,
+              ERROR_CODES.UNDEFINED_PLACEHOLDER,
+              location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateFilters(regions, context, diagnostics) {
+    for (const region of Object.keys(regions).map((key) => regions[key])) {
+      for (const { filters, location } of findPlaceholders(region)) {
+        for (const { name } of filters) {
+          if (!this._filters.has(name)) {
+            diagnostics.report(
+              context.createError(
+                `unknown filter "${name}" in #view(${region.name})`,
+                ERROR_CODES.UNKNOWN_FILTER,
+                location
+              )
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateRenderers(regions, context, diagnostics) {
+    for (const region of Object.keys(regions).map((key) => regions[key])) {
+      if (!this._renderers.has(region.render)) {
+        diagnostics.report(
+          context.createError(
+            `unknown renderer "${region.render}" of #view(${region.name})`,
+            ERROR_CODES.UNKNOWN_RENDERER,
+            region.location
+          )
+        );
+      }
+    }
+  }
+
+  /**
+   * Variables and services which are not needed, even transitively,
+   * by any of the views.
+   *
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } context
+   * @private
+   */
+  _findUnusedDeclarations(regions, context) {
+    const { variables: usedVariables, services: usedServices } =
+      this._findUsedDeclarations(regions, context);
+
+    /** @type { TemplateDiagnostic[] } */
+    const warnings = [];
+    for (const [key, { location }] of context.variables.entries()) {
+      if (!usedVariables.has(key) && !location?.file) {
+        warnings.push(
+          context
+            .createError(
+              `variable "$${key}" is not used by any view`,
+              ERROR_CODES.UNUSED_VARIABLE,
+              location
+            )
+            .toDiagnostic("warning")
+        );
+      }
+    }
+    for (const [key, { location }] of context.services.entries()) {
+      if (!usedServices.has(key) && !location?.file) {
+        warnings.push(
+          context
+            .createError(
+              `service "@${key}" is not used by any view`,
+              ERROR_CODES.UNUSED_SERVICE,
+              location
+            )
+            .toDiagnostic("warning")
+        );
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Variables, #args arguments and services the views need, even
+   * transitively.
+   *
+   * @param { Record<string, ViewRegion> } regions
+   * @param { ResolverContext } context
+   * @private
+   */
+  _findUsedDeclarations(regions, context) {
+    /** @type { Set<string> } */
+    const usedVariables = new Set();
+    /** @type { Set<string> } */
+    const usedServices = new Set();
+
+    /** @param { string } name */
+    const useVariable = (name) => {
+      if (usedVariables.has(name) || !isInputName(context, name)) {
+        return;
+      }
+      usedVariables.add(name);
+      const variable = context.variables.get(name);
+      if (!variable) {
+        return;
+      }
+      if (variable.alias) {
+        useVariable(variable.alias);
+      }
+      for (const candidate of variableCandidates(variable)) {
+        if (candidate.type === "ref") {
+          useService(candidate.service);
+        } else if (candidate.type === "variable") {
+          useVariable(candidate.variableName);
+        } else if (candidate.type === "expr") {
+          expressionVariables(candidate.expression).forEach(useVariable);
+        }
+      }
+    };
+    /** @param { string } key */
+    const useService = (key) => {
+      const service = context.services.get(key);
+      if (!service || usedServices.has(key)) {
+        return;
+      }
+      usedServices.add(key);
+      serviceVariables(service).forEach(useVariable);
+    };
+
+    for (const region of Object.keys(regions).map((key) => regions[key])) {
+      for (const { name } of findPlaceholders(region)) {
+        useVariable(name);
+      }
+    }
+    return { variables: usedVariables, services: usedServices };
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateAvailabilityServices(context, diagnostics) {
+    const { serviceMode } = this._options;
+    if (serviceMode === "replay" || serviceMode === "stub") {
+      return;
+    }
+    for (const { name, location } of context.services.values()) {
+      if (!this._resolvers.has(name) && !this._isSystemResolverName(name)) {
+        diagnostics.report(
+          context.createError(
+            `service "${name}" has no implementation`,
+            ERROR_CODES.SERVICE_NOT_IMPLEMENTED,
+            location
+          )
+        );
+      }
+    }
+  }
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @private
+   */
+  _validateServiceProvideNames(context, diagnostics) {
+    for (const { name, dependencies, location } of context.services.values()) {
+      const { argsModel } = this._resolvers.get(name) || {};
+      if (!argsModel) {
+        continue;
+      }
+      const provided = new Set(dependencies.map(({ name }) => name));
+      for (const arg of Object.keys(argsModel)) {
+        if (!provided.has(arg)) {
+          diagnostics.report(
+            context.createError(
+              `missing required parameter "${arg}" in service "${name}"`,
+              ERROR_CODES.SERVICE_MISSING_ARGUMENT,
+              location
+            )
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * @param { ResolverContext } context
+   * @param { Diagnostics } diagnostics
+   * @returns { ResolvingPlan }
+   */
+  buildPlan(context, diagnostics = new Diagnostics()) {
+    const variableSources = this._calculateVariableSources(context);
+    const parentServices = this._calculateParentServices(
+      context,
+      variableSources
+    );
+    const childrenServices = this._calculateChildrenServices(parentServices);
+
+    const cycle = this._findDependencyCycle(parentServices);
+    if (cycle) {
+      diagnostics.report(
+        context.createError(
+          `services depend on each other - ${cycle
+            .map((key) => `@${key}`)
+            .join(" -> ")}`,
+          ERROR_CODES.DEPENDENCY_CYCLE,
+          context.services.get(cycle[0])?.location
+        )
+      );
+      diagnostics.throwIfAny();
+    }
+
+    return {
+      services: context.services,
+      variableSources,
+      parentServices,
+      childrenServices,
+      queueResolving: this._calculateQueueResolving({
+        services: context.services,
+        parentServices,
+      }),
+    };
+  }
+
+  /**
+   * Keys of the services the value of each variable may come from,
+   * the fallbacks included.
+   *
+   * @param { ResolverContext } context
+   * @private
+   */
+  _calculateVariableSources({ variables }) {
+    /** @type { Map<string, Set<string>> } */
+    const variableSources = new Map();
+
+    /** @param { string } name @returns { Set<string> } */
+    const collect = (name) => {
+      const known = variableSources.get(name);
+      if (known) {
+        return known;
+      }
+      /** @type { Set<string> } */
+      const sources = new Set();
+      variableSources.set(name, sources);
+      const variable = variables.get(name);
+      for (const candidate of variable ? variableCandidates(variable) : []) {
+        if (candidate.type === "ref") {
+          sources.add(candidate.service);
+        } else if (candidate.type === "variable") {
+          collect(candidate.variableName).forEach((key) => sources.add(key));
+        } else if (candidate.type === "expr") {
+          for (const operand of expressionVariables(candidate.expression)) {
+            collect(operand).forEach((key) => sources.add(key));
+          }
+        }
+      }
+      return sources;
+    };
+
+    for (const name of variables.keys()) {
+      collect(name);
+    }
+    return variableSources;
+  }
+
+  /**
+   * Keys of the services whose results are used as arguments of each service.
+   *
+   * @param { ResolverContext } context
+   * @param { Map<string, Set<string>> } variableSources
+   * @private
+   */
+  _calculateParentServices({ services }, variableSources) {
+    /** @type { Map<string, Set<string>> } */
+    const parentServices = new Map();
+    for (const [key, service] of services.entries()) {
+      /** @type { Set<string> } */
+      const parents = new Set();
+      for (const name of serviceVariables(service)) {
+        for (const source of variableSources.get(name) || []) {
+          parents.add(source);
+        }
+      }
+      parentServices.set(key, parents);
+    }
+    return parentServices;
+  }
+
+  /**
+   * @param { Map<string, Set<string>> } parentServices
+   * @private
+   */
+  _calculateChildrenServices(parentServices) {
+    /** @type { Map<string, Set<string>> } */
+    const childrenServices = new Map();
+    for (const key of parentServices.keys()) {
+      childrenServices.set(key, new Set());
+    }
+    for (const [key, parents] of parentServices.entries()) {
+      for (const parent of parents) {
+        childrenServices.get(parent)?.add(key);
+      }
+    }
+    return childrenServices;
+  }
+
+  /**
+   * @param { Map<string, Set<string>> } parentServices
+   * @returns { string[] | null } keys of the services forming the cycle,
+   *  the first key is repeated at the end
+   * @private
+   */
+  _findDependencyCycle(parentServices) {
+    /** @type { Map<string, "visiting" | "visited"> } */
+    const states = new Map();
+    /** @type { string[] } */
+    const path = [];
+
+    /**
+     * @param { string } key
+     * @returns { string[] | null }
+     */
+    const visit = (key) => {
+      const state = states.get(key);
+      if (state === "visited") {
+        return null;
+      }
+      if (state === "visiting") {
+        return [...path.slice(path.indexOf(key)), key];
+      }
+      states.set(key, "visiting");
+      path.push(key);
+      for (const parent of parentServices.get(key) || []) {
+        const cycle = visit(parent);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      path.pop();
+      states.set(key, "visited");
+      return null;
+    };
+
+    for (const key of parentServices.keys()) {
+      const cycle = visit(key);
+      if (cycle) {
+        return cycle.reverse();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Groups services by the length of the longest chain of services they
+   * depend on. The executor does not wait for the levels, they only
+   * describe the resolution order.
+   *
+   * @param { object } props
+   * @param { Map<string, Service> } props.services
+   * @param { Map<string, Set<string>> } props.parentServices
+   * @private
+   */
+  _calculateQueueResolving({ services, parentServices }) {
+    /** @type { Map<string, number> } */
+    const depths = new Map();
+    /** @param { string } key @returns { number } */
+    const depth = (key) => {
+      const known = depths.get(key);
+      if (known !== undefined) {
+        return known;
+      }
+      let value = 0;
+      for (const parent of parentServices.get(key) || []) {
+        value = Math.max(value, depth(parent) + 1);
+      }
+      depths.set(key, value);
+      return value;
+    };
+
+    /** @type { Service[][] } */
+    const queueResolving = [];
+    for (const [key, service] of services.entries()) {
+      const level = depth(key);
+      while (queueResolving.length <= level) {
+        queueResolving.push([]);
+      }
+      queueResolving[level].push(service);
+    }
+    return queueResolving;
+  }
+}
+
+/**
+ * Placeholders and block heads of the region which refer to the record,
+ * `{{this}}` and `{{@index}}` inside of `#each` blocks are skipped.
+ *
+ * @param { ViewRegion } region
+ */
+function findPlaceholders({ nodes }) {
+  /** @type { (ViewPlaceholder | ViewBlock)[] } */
+  const placeholders = [];
+  /** @param { ViewNode[] } nodes @param { boolean } inLoop */
+  const visit = (nodes, inLoop) => {
+    for (const node of nodes) {
+      if (node.type === "text") {
+        continue;
+      }
+      if (!inLoop || (node.name !== LOOP_ITEM && node.name !== LOOP_INDEX)) {
+        placeholders.push(node);
+      }
+      if (node.type !== "placeholder") {
+        visit(node.body, inLoop || node.type === "each");
+        visit(node.alternate, inLoop);
+      }
+    }
+  };
+  visit(nodes, false);
+  return placeholders;
+}
+
+/**
+ * Copy of the imported variable referring to the imported declarations.
+ *
+ * @param { Variable } variable
+ * @param { (name: string) => string } scoped
+ * @returns { Variable }
+ */
+function scopeVariable(variable, scoped) {
+  /** @type { Variable } */
+  const copy =
+    variable.type === "ref"
+      ? { ...variable, service: scoped(variable.service) }
+      : variable.type === "expr"
+        ? {
+            ...variable,
+            expression: renameExpressionVariables(variable.expression, scoped),
+          }
+        : { ...variable };
+  if (variable.alias) {
+    copy.alias = scoped(variable.alias);
+  }
+  if (variable.fallbacks) {
+    copy.fallbacks = variable.fallbacks.map((fallback) =>
+      fallback.type === "ref"
+        ? { ...fallback, service: scoped(fallback.service) }
+        : fallback.type === "variable"
+          ? { ...fallback, variableName: scoped(fallback.variableName) }
+          : fallback
+    );
+  }
+  return copy;
+}
+
+/**
+ * Field of the result of the service, the list of the fields of the
+ * results of a `Name[]` service in the order of its elements.
+ *
+ * @param { ServiceOutput | undefined } output
+ * @param { string[] } path
+ * @returns { ResolverAvailableTypes }
+ */
+function readOutput(output, path) {
+  return /** @type { ResolverAvailableTypes } */ (
+    Array.isArray(output)
+      ? output.map((record) => readPath(record, path))
+      : readPath(output, path)
+  );
+}
+
+/**
+ * Splits the results of a batch back into the lists of the services the
+ * batch was made of.
+ *
+ * @template T
+ * @param { T[] } items
+ * @param { unknown[][] } lists
+ * @returns { T[][] }
+ */
+function splitBatch(items, lists) {
+  let offset = 0;
+  return lists.map(({ length }) => items.slice(offset, (offset += length)));
+}
+
+/**
+ * Paths of the fields the variables read from the services of the
+ * registered service.
+ *
+ * @param { ResolverContext } context
+ * @param { string } name name of the registered service
+ * @returns { string[] }
+ */
+function readFields({ variables, services }, name) {
+  /** @type { string[] } */
+  const fields = [];
+  for (const variable of variables.values()) {
+    for (const candidate of variableCandidates(variable)) {
+      if (
+        candidate.type === "ref" &&
+        services.get(candidate.service)?.name === name &&
+        !fields.includes(candidate.fieldKey)
+      ) {
+        fields.push(candidate.fieldKey);
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Whether the name can be read by the services and the expressions - a
+ * variable of #data or an argument declared in #args.
+ *
+ * @param { ResolverContext } context
+ * @param { string } name
+ */
+function isInputName({ variables, args }, name) {
+  return variables.has(name) || !!args?.some((arg) => arg.name === name);
+}
+
+/**
+ * Names of the variables the service needs - its arguments and the
+ * variables of its `when` clause.
+ *
+ * @param { Service } service
+ * @returns { string[] }
+ */
+function serviceVariables({ dependencies, guard }) {
+  const names = dependencies.map(({ variableName }) => variableName);
+  for (const name of guard ? expressionVariables(guard) : []) {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * The variable itself followed by its fallbacks.
+ *
+ * @param { Variable } variable
+ * @returns { (Variable | VariableFallback)[] }
+ */
+function variableCandidates(variable) {
+  return [variable, ...(variable.fallbacks || [])];
+}
+
+/**
+ * @param { unknown } value
+ * @param { ValueType } type
+ * @returns { boolean }
+ */
+function isValueOfType(value, type) {
+  if (type.endsWith("[]")) {
+    const itemType = /** @type { ValueType } */ (type.slice(0, -2));
+    return (
+      Array.isArray(value) &&
+      value.every((item) => isValueOfType(item, itemType))
+    );
+  }
+  return type === "object"
+    ? value !== null && typeof value === "object" && !Array.isArray(value)
+    : typeof value === type;
+}
+
+/**
+ * Types of the field of the output model, undefined when the model does
+ * not describe it.
+ *
+ * @param { ServiceOutputModel } model
+ * @param { string[] } path
+ * @returns { ValueType[] | undefined }
+ */
+function outputFieldTypes(model, path) {
+  let current = model;
+  for (let i = 0; i < path.length; ++i) {
+    if (!Object.prototype.hasOwnProperty.call(current, path[i])) {
+      return undefined;
+    }
+    const field = current[path[i]];
+    if (Array.isArray(field)) {
+      return i === path.length - 1 ? field : undefined;
+    }
+    current = field;
+  }
+  return undefined;
+}
+
+/**
+ * Whether the field path is described by the output model, the fields
+ * of the `object` values and the items of the arrays are not described
+ * and may be anything.
+ *
+ * @param { ServiceOutputModel } model
+ * @param { string[] } path
+ */
+function hasOutputField(model, path) {
+  let current = model;
+  for (let i = 0; i < path.length; ++i) {
+    if (!Object.prototype.hasOwnProperty.call(current, path[i])) {
+      return false;
+    }
+    const field = current[path[i]];
+    if (Array.isArray(field)) {
+      return (
+        i === path.length - 1 ||
+        field.some((type) => type === "object" || type.endsWith("[]"))
+      );
+    }
+    current = field;
+  }
+  return true;
+}
+
+/**
+ * The first field of the record which does not match the output model.
+ *
+ * @param { ServiceOutputModel } model
+ * @param { Record<string, unknown> } record
+ * @param { string } [prefix=""] path of the nested model
+ * @returns { { field: string, types: string[] } | undefined }
+ */
+function findOutputMismatch(model, record, prefix = "") {
+  for (const key of Object.keys(model)) {
+    const field = model[key];
+    const value = record[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (Array.isArray(field)) {
+      if (!field.some((type) => isValueOfType(value, type))) {
+        return { field: prefix + key, types: field };
+      }
+      continue;
+    }
+    if (!isValueOfType(value, "object")) {
+      return { field: prefix + key, types: ["object"] };
+    }
+    const mismatch = findOutputMismatch(
+      field,
+      /** @type { Record<string, unknown> } */ (value),
+      prefix + key + FIELD_SEPARATOR
+    );
+    if (mismatch) {
+      return mismatch;
+    }
+  }
+}
+
+/**
+ * Checks the arguments against their declarations and applies the
+ * defaults, the undeclared arguments are dropped.
+ *
+ * @param { ArgumentDeclaration[] } declarations
+ * @param { Arguments } args
+ * @param { ResolverContext } context
+ */
+function checkArguments(declarations, args, context) {
+  /** @type { Arguments } */
+  const checked = {};
+  /** @type { TemplaterError[] } */
+  const errors = [];
+  for (const declaration of declarations) {
+    const { name, type, required, location } = declaration;
+    const value = args[name];
+    if (value === undefined) {
+      if (required) {
+        errors.push(
+          context.createError(
+            `missing required argument "${name}"`,
+            ERROR_CODES.ARGUMENT_MISSING,
+            location
+          )
+        );
+      } else if ("default" in declaration) {
+        checked[name] = declaration.default;
+      }
+    } else if (!isValueOfType(value, type)) {
+      errors.push(
+        context.createError(
+          `argument "${name}" must be ${type}`,
+          ERROR_CODES.ARGUMENT_TYPE,
+          location
+        )
+      );
+    } else {
+      checked[name] = value;
+    }
+  }
+  return { args: checked, errors };
+}
+
+/**
+ * Splits the text by the separator which is not inside a quoted string.
+ *
+ * @param { string } text
+ * @param { string } separator
+ */
+function splitOutsideQuotes(text, separator) {
+  /** @type { { text: string, offset: number }[] } */
+  const parts = [];
+  let quote = "";
+  let start = 0;
+  for (let i = 0; i < text.length; ++i) {
+    const char = text[i];
+    if (quote) {
+      quote = char === quote ? "" : quote;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (text.startsWith(separator, i)) {
+      parts.push({ text: text.slice(start, i), offset: start });
+      start = i + separator.length;
+      i = start - 1;
+    }
+  }
+  parts.push({ text: text.slice(start), offset: start });
+  return parts.map(({ text, offset }) => ({
+    text: text.trim(),
+    offset: offset + Math.max(text.search(/\S/), 0),
+  }));
+}
+
+/**
+ * @param { string } template
+ * @param { Resolver } resolver
+ */
+function check(template, resolver) {
+  return resolver.check(template);
+}
+
+/**
+ * Errors of the template itself which fail the render regardless of
+ * the failure policy, unlike the timeouts and aborts of the services
+ * and the results not matching their output models.
+ *
+ * @param { unknown } error
+ */
+function isTemplateError(error) {
+  return (
+    error instanceof TemplaterError &&
+    !(error instanceof TemplaterAbortError) &&
+    error.code !== ERROR_CODES.SERVICE_OUTPUT_TYPE
+  );
+}
+
 /**
  * @template { Record<string | number, any> } T
  * @param { T[] } arr
@@ -866,6 +3991,19 @@ function groupByField(arr, field) {
 module.exports = {
   parser: Parser.parse,
   createResolver: Resolver.create,
+  check,
   TemplaterError,
+  TemplaterDiagnosticsError,
+  TemplaterServiceError,
+  TemplaterAbortError,
   TypingError: TemplaterError,
+  ERROR_CODES,
+  CompiledTemplate,
+  MemoryCacheStore,
+  createFileLoader,
+  traceResolver,
+  InMemorySpanExporter,
+  ServiceFixture,
+  loadFixture,
+  saveFixture,
 };
@@ -0,0 +1,214 @@
+/**
+ * @typedef { import('./hooks').HookEvents } HookEvents
+ * @typedef { import('./hooks').Hooks } Hooks
+ *
+ * @typedef { string | number | boolean | string[] } SpanAttributeValue
+ *
+ * @typedef SpanContext
+ * @type { object }
+ * @property { string } traceId 32 hex digits
+ * @property { string } spanId 16 hex digits
+ *
+ * @typedef SpanData finished span in the OpenTelemetry data model, the times are
+ *  milliseconds since the epoch and the status codes are the ones of `SpanStatusCode`
+ * @type { object }
+ * @property { string } traceId
+ * @property { string } spanId
+ * @property { string } [parentSpanId] absent for the root span of the trace
+ * @property { string } name
+ * @property { number } startTime
+ * @property { number } endTime
+ * @property { Record<string, SpanAttributeValue> } attributes
+ * @property { SpanContext[] } links the other spans the span waited for
+ * @property { { code: number, message?: string } } status
+ *
+ * @typedef SpanExporter
+ * @type { object }
+ * @property { (spans: SpanData[]) => void } export called with every span once it ends
+ *
+ * @typedef { { registHook: Hooks["regist"] } } HookTarget
+ */
+
+const crypto = require("crypto");
+
+/** `SpanStatusCode` of OpenTelemetry */
+const SPAN_STATUS = Object.freeze({ UNSET: 0, OK: 1, ERROR: 2 });
+
+const TRACE_ID_BYTES = 16;
+const SPAN_ID_BYTES = 8;
+
+/**
+ * Keeps the finished spans in memory, for the tests.
+ *
+ * @implements { SpanExporter }
+ */
+class InMemorySpanExporter {
+  constructor() {
+    /** @type { SpanData[] } */
+    this._spans = [];
+  }
+
+  /**
+   * @param { SpanData[] } spans
+   */
+  export(spans) {
+    this._spans.push(...spans);
+  }
+
+  getFinishedSpans() {
+    return [...this._spans];
+  }
+
+  reset() {
+    this._spans = [];
+  }
+}
+
+/**
+ * Turns the hook events of the resolver into spans. The render span is
+ * the root of its trace, a batch of the service calls is the child of
+ * the last finished batch it waited for, or of the render when it waited
+ * for none, and links to the other batches it waited for. Parsing and
+ * compiling are traces of their own.
+ *
+ * @param { HookTarget } resolver
+ * @param { object } props
+ * @param { SpanExporter } props.exporter
+ * @returns { () => void } stops the tracing
+ */
+function traceResolver(resolver, { exporter }) {
+  /** @type { Map<number, SpanData> } */
+  const renders = new Map();
+  /** @type { Map<number, SpanData> } */
+  const batches = new Map();
+  /** @type { Map<number, Map<string, SpanData>> } finished batch spans of the services of the render */
+  const services = new Map();
+
+  /**
+   * @param { string } name
+   * @param { number } startTime
+   * @param { Record<string, SpanAttributeValue> } attributes
+   * @param { SpanData } [parent]
+   * @returns { SpanData }
+   */
+  const startSpan = (name, startTime, attributes, parent) => ({
+    traceId: parent ? parent.traceId : randomId(TRACE_ID_BYTES),
+    spanId: randomId(SPAN_ID_BYTES),
+    parentSpanId: parent?.spanId,
+    name,
+    startTime,
+    endTime: startTime,
+    attributes,
+    links: [],
+    status: { code: SPAN_STATUS.UNSET },
+  });
+
+  /**
+   * @param { SpanData } span
+   * @param { number } endTime
+   * @param { unknown } [error]
+   */
+  const endSpan = (span, endTime, error) => {
+    span.endTime = endTime;
+    span.status =
+      error === undefined
+        ? { code: SPAN_STATUS.OK }
+        : {
+            code: SPAN_STATUS.ERROR,
+            message: error instanceof Error ? error.message : String(error),
+          };
+    exporter.export([span]);
+  };
+
+  /**
+   * @param { "parse" | "compile" } name
+   * @param { HookEvents["parse"] } event
+   */
+  const stage = (name, { duration, error }) => {
+    const now = Date.now();
+    endSpan(startSpan(name, now - duration, {}), now, error);
+  };
+
+  const removers = [
+    resolver.registHook("parse", (event) => stage("parse", event)),
+    resolver.registHook("compile", (event) => stage("compile", event)),
+    resolver.registHook("renderStart", ({ render, views }) => {
+      renders.set(
+        render,
+        startSpan("render", Date.now(), { "templater.views": views })
+      );
+      services.set(render, new Map());
+    }),
+    resolver.registHook("renderEnd", ({ render, status, error }) => {
+      const span = renders.get(render);
+      renders.delete(render);
+      services.delete(render);
+      if (span) {
+        if (status) {
+          span.attributes["templater.status"] = status;
+        }
+        endSpan(span, Date.now(), error);
+      }
+    }),
+    resolver.registHook("batchStart", (event) => {
+      const finished =
+        event.render === undefined ? undefined : services.get(event.render);
+      const waited = event.after
+        .map((key) => finished?.get(key))
+        .filter(/** @returns { span is SpanData } */ (span) => !!span)
+        .filter((span, i, spans) => spans.indexOf(span) === i)
+        .sort((a, b) => a.endTime - b.endTime);
+      const parent =
+        waited[waited.length - 1] ??
+        (event.render === undefined ? undefined : renders.get(event.render));
+      const span = startSpan(
+        `service ${event.service}`,
+        Date.now(),
+        {
+          "templater.service": event.service,
+          "templater.service.keys": event.keys,
+          "templater.service.records": event.records,
+        },
+        parent
+      );
+      span.links = waited
+        .filter((other) => other !== parent)
+        .map(({ traceId, spanId }) => ({ traceId, spanId }));
+      batches.set(event.batch, span);
+    }),
+    resolver.registHook("batchEnd", ({ batch, render, keys, error }) => {
+      const span = batches.get(batch);
+      batches.delete(batch);
+      if (!span) {
+        return;
+      }
+      const finished = render === undefined ? undefined : services.get(render);
+      for (const key of keys) {
+        finished?.set(key, span);
+      }
+      endSpan(span, Date.now(), error);
+    }),
+    resolver.registHook("view", ({ render, view, renderer, duration }) => {
+      const now = Date.now();
+      endSpan(
+        startSpan(
+          `view ${view}`,
+          now - duration,
+          { "templater.view": view, "templater.renderer": renderer },
+          renders.get(render)
+        ),
+        now
+      );
+    }),
+  ];
+  return () => removers.forEach((remove) => remove());
+}
+
+/**
+ * @param { number } bytes
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+module.exports = { traceResolver, InMemorySpanExporter, SPAN_STATUS };
@@ -1,21 +1,87 @@
-export declare type VariableType = "ref" | "const";
+export declare type VariableType = "ref" | "const" | "expr";
+
+export declare interface SourceLocation {
+  line: number;
+  column: number;
+  /** imported template the location is in, the compiled template itself when absent */
+  file?: string;
+}
+
+export declare interface TemplateDiagnostic {
+  code: string;
+  severity: "error" | "warning";
+  message: string;
+  line?: number;
+  column?: number;
+  file?: string;
+  excerpt?: string;
+}
 
 interface InternalVariable<T extends VariableType> {
   type: T;
+  location?: SourceLocation;
+  /** name of the variable this one was aliased from */
+  alias?: string;
+  /** values used in order when the variable has no value */
+  fallbacks?: VariableFallback[];
 }
 
 interface InternalEntity {
   key: string;
   name: string;
+  location?: SourceLocation;
 }
 
 export declare interface VariableRef extends InternalVariable<"ref"> {
   service: string;
+  /** field of the service result, nested fields are separated by dots - `assignee.email` */
   fieldKey: string;
 }
 export declare interface VariableConst extends InternalVariable<"const"> {
   constant: string;
 }
+/** value computed from the other variables - `"Incident ${name}" + $tag` */
+export declare interface VariableExpr extends InternalVariable<"expr"> {
+  expression: Expression;
+}
+export declare type Variable = VariableRef | VariableConst | VariableExpr;
+
+export declare type Expression =
+  | { type: "literal"; value: string }
+  | { type: "variable"; name: string; path: string[] }
+  | { type: "concat"; parts: Expression[] }
+  | { type: "call"; name: string; args: Expression[] }
+  | { type: "compare"; operator: "==" | "!="; left: Expression; right: Expression };
+
+export declare interface VariableFallbackRef {
+  type: "ref";
+  service: string;
+  fieldKey: string;
+}
+export declare interface VariableFallbackConst {
+  type: "const";
+  constant: string;
+}
+export declare interface VariableFallbackVariable {
+  type: "variable";
+  variableName: string;
+}
+export declare type VariableFallback =
+  | VariableFallbackRef
+  | VariableFallbackConst
+  | VariableFallbackVariable;
+
+export declare type ArgumentType = "string" | "string[]";
+
+/** argument declared in the #args region - `name?: type = 'default'` */
+export declare interface ArgumentDeclaration {
+  name: string;
+  type: ArgumentType;
+  /** neither marked optional nor has a default */
+  required: boolean;
+  default?: ResolverAvailableTypes;
+  location?: SourceLocation;
+}
 
 export declare interface Dependency extends InternalEntity {
   variableName: string;
@@ -23,14 +89,103 @@ export declare interface Dependency extends InternalEntity {
 
 export declare interface Service extends InternalEntity {
   dependencies: Dependency[];
+  /** condition of the `when` clause, the service is skipped when it is false */
+  guard?: Expression;
+  /** `Name[]` - the service is called with a record per element of its list arguments */
+  fanOut?: boolean;
+}
+
+export declare interface ViewFilter {
+  name: string;
+  args: (string | number | boolean)[];
 }
 
+export declare interface ViewText {
+  type: "text";
+  text: string;
+}
+
+export declare interface ViewPlaceholder {
+  type: "placeholder";
+  name: string;
+  /** fields of the value after the name - `{{incident.assignee.name}}` */
+  path: string[];
+  filters: ViewFilter[];
+  /** `{{{name}}}` placeholder which is never escaped */
+  raw?: boolean;
+  location: SourceLocation;
+}
+
+export declare interface ViewBlock {
+  type: "if" | "each";
+  name: string;
+  path: string[];
+  filters: ViewFilter[];
+  body: ViewNode[];
+  /** nodes after `{{else}}` */
+  alternate: ViewNode[];
+  location: SourceLocation;
+}
+
+export declare type ViewNode = ViewText | ViewPlaceholder | ViewBlock;
+
 type SyncOrAsync<T> = T | Promise<T>;
 
-export type ResolverAvailableTypes = string | string[] | undefined;
+export type ResolverAvailableTypes =
+  | string
+  | number
+  | boolean
+  | null
+  | undefined
+  | ResolverAvailableTypes[]
+  | ResolverObject;
+
+export interface ResolverObject {
+  [key: string]: ResolverAvailableTypes;
+}
+
+/** types of the service arguments, `object` is a plain object */
+export declare type ValueType =
+  | "string"
+  | "number"
+  | "boolean"
+  | "object"
+  | "string[]"
+  | "number[]"
+  | "boolean[]"
+  | "object[]";
+
+/** fields of the records returned by the service, nested models describe nested objects */
+export interface ServiceOutputModel {
+  [field: string]: ValueType[] | ServiceOutputModel;
+}
 
 export declare type ResolverArgs = Record<string, ResolverAvailableTypes>;
 
+export declare interface TemplateLoader {
+  /** identifier of the imported template, `importer` is absent for the compiled one */
+  resolve(specifier: string, importer?: string): string;
+  load(id: string): string;
+}
+
+export declare interface ServiceCacheStore {
+  get(
+    key: string,
+  ): SyncOrAsync<Record<string, ResolverAvailableTypes> | undefined>;
+  /** `ttl` in milliseconds, the entry does not expire without it */
+  set(
+    key: string,
+    value: Record<string, ResolverAvailableTypes>,
+    ttl?: number,
+  ): SyncOrAsync<void>;
+}
+
+export declare interface ResolverOptions {
+  /** aborted when the render is cancelled, fails or the call times out */
+  signal: AbortSignal;
+}
+
 export declare type Resolver = (
   arguments: ResolverArgs[],
+  options: ResolverOptions,
 ) => SyncOrAsync<Record<string, ResolverAvailableTypes>[]>;
@@ -0,0 +1,411 @@
+/**
+ * @typedef { import('./types').SourceLocation } SourceLocation
+ * @typedef { import('./types').ViewNode } ViewNode
+ * @typedef { import('./types').ViewFilter } ViewFilter
+ * @typedef { import('./types').ViewBlock } ViewBlock
+ * @typedef { import('./types').ResolverAvailableTypes } ResolverAvailableTypes
+ * @typedef { import('./diagnostics').TemplaterError } TemplaterError
+ *
+ * @typedef { (value: any, ...args: any[]) => any } Filter
+ */
+
+const { ERROR_CODES } = require("./diagnostics");
+
+const PLACEHOLDER_OPEN = "{{";
+const ESCAPED_PLACEHOLDER_OPEN = "\\{{";
+const PLACEHOLDER_CLOSE = "}}";
+const RAW_PLACEHOLDER_OPEN = "{{{";
+const RAW_PLACEHOLDER_CLOSE = "}}}";
+
+const BLOCK_ELSE = "else";
+const LOOP_ITEM = "this";
+const LOOP_INDEX = "@index";
+
+const REGEXP_BLOCK_OPEN = /^#(if|each)\s+([\s\S]*)$/;
+const REGEXP_NAME = /^(@index|[a-z_]+(:[a-z][a-z_]*)*)(\.([a-z_]+|\d+))*/;
+const FIELD_SEPARATOR = ".";
+const REGEXP_FILTER_NAME = /^[a-z][a-z_0-9]*/;
+const REGEXP_NUMBER = /^-?\d+(\.\d+)?/;
+const REGEXP_SPACES = /^\s*/;
+
+/**
+ * Parses the text of a #view region into the tree of the text, the
+ * placeholders and the `{{#if name}}` / `{{#each name}}` blocks.
+ * The `{{{name}}}` placeholders are raw, renderers do not escape them.
+ * A block tag alone on its line is removed together with the line.
+ * Braces that do not hold a placeholder, e.g. `{{ Not A Var }}` or
+ * `{{"k":1}}`, are kept as text, `\{{` is a literal `{{` also when a
+ * placeholder follows.
+ *
+ * @param { string } text
+ * @param { object } props
+ * @param { number } props.line line of the region heading, the text starts on the next one
+ * @param { (message: string, code: string, location: SourceLocation) => TemplaterError } props.createError
+ * @param { (error: TemplaterError) => void } props.report
+ * @returns { ViewNode[] }
+ */
+function parseView(text, { line, createError, report }) {
+  /** @param { number } offset @returns { SourceLocation } */
+  const locate = (offset) => {
+    const before = text.slice(0, offset);
+    const lineStart = before.lastIndexOf("\n") + 1;
+    return {
+      line: line + 1 + (before.match(/\n/g) || []).length,
+      column: offset - lineStart + 1,
+    };
+  };
+
+  /** @type { ViewNode[] } */
+  const nodes = [];
+  /** @type { { block: ViewBlock | null, nodes: ViewNode[], alternate: boolean }[] } */
+  const stack = [{ block: null, nodes, alternate: false }];
+  const current = () => stack[stack.length - 1];
+
+  let position = 0;
+  while (position < text.length) {
+    const open = text.indexOf(PLACEHOLDER_OPEN, position);
+    const raw = open !== -1 && text.startsWith(RAW_PLACEHOLDER_OPEN, open);
+    const [opening, closing] = raw
+      ? [RAW_PLACEHOLDER_OPEN, RAW_PLACEHOLDER_CLOSE]
+      : [PLACEHOLDER_OPEN, PLACEHOLDER_CLOSE];
+    const close =
+      open === -1 ? -1 : text.indexOf(closing, open + opening.length);
+    if (open === -1 || close === -1) {
+      break;
+    }
+    if (text.startsWith(ESCAPED_PLACEHOLDER_OPEN, open - 1)) {
+      current().nodes.push({
+        type: "text",
+        text: `${text.slice(position, open - 1)}${PLACEHOLDER_OPEN}`,
+      });
+      position = open + PLACEHOLDER_OPEN.length;
+      continue;
+    }
+    const end = close + closing.length;
+    const location = locate(open);
+    const source = text.slice(open + opening.length, close);
+    const tag = raw ? "" : source.trim();
+    const isBlockTag =
+      REGEXP_BLOCK_OPEN.test(tag) || tag === BLOCK_ELSE || tag.startsWith("/");
+
+    let textEnd = open;
+    let next = end;
+    if (isBlockTag) {
+      const lineStart = text.lastIndexOf("\n", open - 1) + 1;
+      const lineEnd = text.indexOf("\n", end);
+      const after = text.slice(end, lineEnd === -1 ? text.length : lineEnd);
+      if (
+        /^[ \t]*$/.test(text.slice(lineStart, open)) &&
+        /^[ \t\r]*$/.test(after)
+      ) {
+        textEnd = Math.max(lineStart, position);
+        next = lineEnd === -1 ? text.length : lineEnd + 1;
+      }
+    }
+    if (textEnd > position) {
+      current().nodes.push({
+        type: "text",
+        text: text.slice(position, textEnd),
+      });
+    }
+    position = next;
+
+    /** @param { string } message */
+    const fail = (message) =>
+      report(createError(message, ERROR_CODES.INVALID_PLACEHOLDER, location));
+
+    const blockOpen = REGEXP_BLOCK_OPEN.exec(tag);
+    if (blockOpen) {
+      try {
+        /** @type { ViewBlock } */
+        const block = {
+          // @ts-ignore
+          type: blockOpen[1],
+          ...parsePlaceholder(blockOpen[2]),
+          body: [],
+          alternate: [],
+          location,
+        };
+        current().nodes.push(block);
+        stack.push({ block, nodes: block.body, alternate: false });
+      } catch (error) {
+        fail(
+          `invalid block "{{${source}}}" - ${
+            error instanceof Error ? error.message : error
+          }`
+        );
+      }
+      continue;
+    }
+
+    if (tag === BLOCK_ELSE) {
+      const top = current();
+      if (!top.block || top.alternate) {
+        fail(`unexpected "{{${source}}}"`);
+        continue;
+      }
+      top.nodes = top.block.alternate;
+      top.alternate = true;
+      continue;
+    }
+
+    if (tag.startsWith("/")) {
+      const top = current();
+      if (!top.block || top.block.type !== tag.slice(1).trim()) {
+        fail(
+          top.block
+            ? `"{{${source}}}" does not close "{{#${top.block.type}}}"`
+            : `unexpected "{{${source}}}"`
+        );
+        continue;
+      }
+      stack.pop();
+      continue;
+    }
+
+    try {
+      current().nodes.push({
+        type: "placeholder",
+        ...parsePlaceholder(source),
+        raw,
+        location,
+      });
+    } catch (error) {
+      current().nodes.push({ type: "text", text: text.slice(open, end) });
+    }
+  }
+  if (position < text.length) {
+    current().nodes.push({ type: "text", text: text.slice(position) });
+  }
+  for (const { block } of stack.slice(1)) {
+    if (block) {
+      report(
+        createError(
+          `block "{{#${block.type} ${block.name}}}" is not closed`,
+          ERROR_CODES.UNCLOSED_BLOCK,
+          block.location
+        )
+      );
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Parses `name.field | filter | filter(arg, ...)`.
+ *
+ * @param { string } source
+ */
+function parsePlaceholder(source) {
+  let rest = source;
+  const skipSpaces = () => {
+    rest = rest.replace(REGEXP_SPACES, "");
+  };
+  /** @param { RegExp } regexp @param { string } expected */
+  const take = (regexp, expected) => {
+    skipSpaces();
+    const match = regexp.exec(rest);
+    if (!match) {
+      throw new Error(`expected ${expected}`);
+    }
+    rest = rest.slice(match[0].length);
+    return match[0];
+  };
+
+  const [name, ...path] = take(REGEXP_NAME, "variable name").split(
+    FIELD_SEPARATOR
+  );
+  /** @type { ViewFilter[] } */
+  const filters = [];
+  skipSpaces();
+  while (rest.startsWith("|")) {
+    rest = rest.slice(1);
+    const filter = take(REGEXP_FILTER_NAME, "filter name");
+    /** @type { ViewFilter["args"] } */
+    const args = [];
+    skipSpaces();
+    if (rest.startsWith("(")) {
+      rest = rest.slice(1);
+      skipSpaces();
+      while (!rest.startsWith(")")) {
+        if (args.length > 0) {
+          take(/^,/, `"," or ")"`);
+          skipSpaces();
+        }
+        const literal = parseLiteral(rest);
+        args.push(literal.value);
+        rest = rest.slice(literal.length);
+        skipSpaces();
+        if (rest === "") {
+          throw new Error(`expected ")"`);
+        }
+      }
+      rest = rest.slice(1);
+      skipSpaces();
+    }
+    filters.push({ name: filter, args });
+  }
+  if (rest.trim() !== "") {
+    throw new Error(`unexpected "${rest.trim()}"`);
+  }
+  return { name, path, filters };
+}
+
+/**
+ * @param { string } text
+ * @returns { { value: string | number | boolean, length: number } }
+ */
+function parseLiteral(text) {
+  const quote = text[0];
+  if (quote === '"' || quote === "'") {
+    let value = "";
+    for (let i = 1; i < text.length; ++i) {
+      const char = text[i];
+      if (char === "\\" && i + 1 < text.length) {
+        value += text[++i];
+      } else if (char === quote) {
+        return { value, length: i + 1 };
+      } else {
+        value += char;
+      }
+    }
+    throw new Error("unterminated string");
+  }
+  const number = REGEXP_NUMBER.exec(text);
+  if (number) {
+    return { value: Number(number[0]), length: number[0].length };
+  }
+  for (const value of [true, false]) {
+    if (text.startsWith(String(value))) {
+      return { value, length: String(value).length };
+    }
+  }
+  throw new Error("expected a string, a number or a boolean");
+}
+
+/**
+ * @typedef Scope
+ * @type { object }
+ * @property { Record<string, ResolverAvailableTypes> } record
+ * @property { Map<string, Filter> } filters
+ * @property { (value: string) => string } [escape] applied to the values of not raw placeholders
+ * @property { { item: unknown, index: number }[] } [loops] items of the enclosing `#each` blocks
+ */
+
+/**
+ * @param { ViewNode[] } nodes
+ * @param { Scope } scope
+ * @returns { string }
+ */
+function renderView(nodes, scope) {
+  const { escape } = scope;
+  let result = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      result += node.text;
+    } else if (node.type === "placeholder") {
+      const evaluated = evaluate(node, scope);
+      // a value the services did not provide renders as nothing
+      const value =
+        evaluated === undefined || evaluated === null ? "" : String(evaluated);
+      result += escape && !node.raw ? escape(value) : value;
+    } else if (node.type === "if") {
+      result += renderView(
+        isTruthy(evaluate(node, scope)) ? node.body : node.alternate,
+        scope
+      );
+    } else {
+      const value = evaluate(node, scope);
+      const items = Array.isArray(value)
+        ? value
+        : isTruthy(value)
+          ? [value]
+          : [];
+      if (items.length === 0) {
+        result += renderView(node.alternate, scope);
+      }
+      const loops = scope.loops || [];
+      items.forEach((item, index) => {
+        result += renderView(node.body, {
+          ...scope,
+          loops: [...loops, { item, index }],
+        });
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * @param { { name: string, path: string[], filters: ViewFilter[] } } expression
+ * @param { Scope } scope
+ */
+function evaluate(
+  { name, path, filters },
+  { record, filters: registered, loops = [] }
+) {
+  const loop = loops[loops.length - 1];
+  /** @type { unknown } */
+  let value = readPath(
+    loop && name === LOOP_ITEM
+      ? loop.item
+      : loop && name === LOOP_INDEX
+        ? loop.index
+        : record[name],
+    path
+  );
+  for (const { name, args } of filters) {
+    /** @type { Filter } */
+    // @ts-ignore
+    const filter = registered.get(name);
+    value = filter(value, ...args);
+  }
+  return value;
+}
+
+/**
+ * Value of the nested objects and arrays at the path, undefined when a
+ * part of the path is missing.
+ *
+ * @param { unknown } value
+ * @param { string[] } path
+ */
+function readPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (current === null || typeof current !== "object") {
+      return undefined;
+    }
+    current = /** @type { Record<string, unknown> } */ (current)[key];
+  }
+  return current;
+}
+
+/**
+ * Whether `{{#if}}` renders its body, `{{#each}}` iterates a value which
+ * is not a list and a `when` condition holds. Missing values, `false`,
+ * `""`, `0`, `NaN` and empty lists are false, anything else is true.
+ *
+ * @param { unknown } value
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === "number") {
+    return value !== 0 && !Number.isNaN(value);
+  }
+  return (
+    value !== undefined && value !== null && value !== false && value !== ""
+  );
+}
+
+module.exports = {
+  parseView,
+  renderView,
+  readPath,
+  isTruthy,
+  LOOP_ITEM,
+  LOOP_INDEX,
+  FIELD_SEPARATOR,
+};
@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ERROR_CODES, TemplaterDiagnosticsError } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+const ALERT = `#args
+  incident: string
+  tags?: string[]
+  locale: string = 'en'
+#data
+  @incident = Incident { id = $incident; }
+  $title = title <- @incident
+#view(main)
+{{title}} [{{locale}}] {{tags}}`;
+
+/**
+ * Resolver with the `Incident` service counting its calls.
+ */
+function createAlerts() {
+  const calls = { count: 0 };
+  const resolver = resolverWith({
+    Incident: ({ id }) => {
+      calls.count += 1;
+      return { title: `Incident ${id}` };
+    },
+  });
+  return { compiled: resolver.compile(ALERT), calls };
+}
+
+test("the declared arguments are passed to the render", async () => {
+  const { compiled } = createAlerts();
+  assert.deepEqual(
+    await compiled.render(["main"], {
+      args: { incident: "7", tags: ["db"], locale: "de" },
+    }),
+    { main: "Incident 7 [de] db" }
+  );
+});
+
+test("optional arguments may be missing and defaults fill in", async () => {
+  const { compiled } = createAlerts();
+  assert.deepEqual(
+    await compiled.render(["main"], { args: { incident: "7" } }),
+    { main: "Incident 7 [en] " }
+  );
+});
+
+test("wrong arguments are rejected before any service runs", async () => {
+  const { compiled, calls } = createAlerts();
+  await assert.rejects(
+    compiled.render(["main"], { args: { tags: "db" } }),
+    (/** @type { TemplaterDiagnosticsError } */ error) => {
+      assert.ok(error instanceof TemplaterDiagnosticsError);
+      assert.deepEqual(
+        error.errors.map(({ code, line }) => [code, line]),
+        [
+          [ERROR_CODES.ARGUMENT_MISSING, 2],
+          [ERROR_CODES.ARGUMENT_TYPE, 3],
+        ]
+      );
+      return true;
+    }
+  );
+  assert.equal(calls.count, 0);
+});
+
+test("the compiled template exposes its argument schema", () => {
+  const { compiled } = createAlerts();
+  assert.deepEqual(
+    compiled.argumentsSchema?.map(
+      ({ location, ...declaration }) => declaration
+    ),
+    [
+      { name: "incident", type: "string", required: true },
+      { name: "tags", type: "string[]", required: false },
+      { name: "locale", type: "string", required: false, default: "en" },
+    ]
+  );
+  assert.deepEqual(compiled.validateArguments({ incident: "7" }), []);
+  assert.deepEqual(
+    compiled.validateArguments({ incident: ["7"] }).map(({ reason }) => reason),
+    ['argument "incident" must be string']
+  );
+});
+
+test("wrong declarations of #args are reported", () => {
+  const resolver = resolverWith({});
+  for (const [template, code] of [
+    ["#args\n  count: number\n#data\n", ERROR_CODES.INVALID_ARGUMENT],
+    [
+      "#args\n  id: string\n  id: string\n#data\n",
+      ERROR_CODES.INVALID_ARGUMENT,
+    ],
+    ["#data\n#args\n  id: string\n", ERROR_CODES.ARGS_REGION_ORDER],
+  ]) {
+    assert.throws(() => resolver.compile(`${template}#view(main)\n`), {
+      code,
+    });
+  }
+});
+
+test("an argument can be the fallback of a variable", async () => {
+  const resolver = resolverWith({
+    Assignee: () => {
+      throw new Error("directory is down");
+    },
+  });
+  const compiled = resolver.compile(`#args
+  owner: string
+#data
+  @assignee = Assignee { team = $owner; }
+  $name = name <- @assignee ?? $owner
+#view(main)
+{{name}}`);
+  assert.deepEqual(
+    await compiled.render(["main"], { args: { owner: "sre" } }),
+    { main: "sre" }
+  );
+});
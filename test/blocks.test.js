@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+/**
+ * Renders the view over the order returned by the Order service.
+ *
+ * @param { import('./helpers').ResultRecord } order
+ * @param { string } view
+ */
+async function renderOrder(order, view) {
+  const { main } = await resolverWith({ Order: () => order })
+    .compile(
+      `#data
+  @order = Order
+  $items = items <- @order
+  $coupon = coupon <- @order
+  $count = count <- @order
+#view(main)
+${view}`
+    )
+    .render(["main"]);
+  return main;
+}
+
+test("each iterates over the list with the item and its index", async () => {
+  const view = `{{#each items}}
+{{@index}}. {{this.name}} x{{this.quantity}}
+{{else}}
+empty order
+{{/each}}`;
+  assert.equal(
+    await renderOrder(
+      {
+        items: [
+          { name: "tea", quantity: 2 },
+          { name: "cake", quantity: 1 },
+        ],
+      },
+      view
+    ),
+    "0. tea x2\n1. cake x1\n"
+  );
+  assert.equal(await renderOrder({ items: [] }, view), "empty order\n");
+});
+
+test("if renders the body or the else branch", async () => {
+  const view = "{{#if coupon}}coupon {{coupon}}{{else}}no coupon{{/if}}";
+  assert.equal(await renderOrder({ coupon: "SPRING" }, view), "coupon SPRING");
+  assert.equal(await renderOrder({ coupon: "" }, view), "no coupon");
+  assert.equal(await renderOrder({}, view), "no coupon");
+});
+
+test("zero, NaN and empty values are false", async () => {
+  const view =
+    "{{#if count}}{{count}} items{{else}}no items{{/if}}|{{#each count}}x{{else}}none{{/each}}";
+  assert.equal(await renderOrder({ count: 0 }, view), "no items|none");
+  assert.equal(await renderOrder({ count: NaN }, view), "no items|none");
+  assert.equal(await renderOrder({ count: 3 }, view), "3 items|x");
+  assert.equal(
+    await renderOrder({ items: [] }, "{{#if items}}items{{else}}empty{{/if}}"),
+    "empty"
+  );
+});
+
+test("malformed and unclosed blocks are reported", () => {
+  const resolver = createResolver();
+  /** @param { string } view */
+  const diagnostics = (view) =>
+    resolver
+      .check(`#data\n  $items = 'x'\n#view(main)\n${view}`)
+      .map(({ code, message }) => `${code}: ${message}`);
+
+  assert.deepEqual(diagnostics("{{#if Items}}x{{/if}}"), [
+    `${ERROR_CODES.UNUSED_VARIABLE}: variable "$items" is not used by any view`,
+    `${ERROR_CODES.INVALID_PLACEHOLDER}: invalid block "{{#if Items}}" - expected variable name`,
+    `${ERROR_CODES.INVALID_PLACEHOLDER}: unexpected "{{/if}}"`,
+  ]);
+  assert.deepEqual(diagnostics("{{#each items}}{{/if}}{{/each}}"), [
+    `${ERROR_CODES.INVALID_PLACEHOLDER}: "{{/if}}" does not close "{{#each}}"`,
+  ]);
+  assert.deepEqual(diagnostics("{{#if items}}x"), [
+    `${ERROR_CODES.UNCLOSED_BLOCK}: block "{{#if items}}" is not closed`,
+  ]);
+});
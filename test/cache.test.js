@@ -0,0 +1,122 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver } = require("../src/templater");
+
+const EXCHANGE = `#args
+  from: string
+  to: string
+#data
+  @rate = Rate { from = $from; to = $to; }
+  $rate = rate <- @rate
+#view(main)
+{{from}}/{{to}} {{rate}}`;
+
+/**
+ * Resolver with the exchange rate service, the rates it looked up are
+ * kept in `lookups`.
+ *
+ * @param { { ttl?: number, store?: import('../src/types').ServiceCacheStore } } cache
+ */
+function createExchange(cache) {
+  /** @type { string[] } */
+  const lookups = [];
+  const resolver = createResolver();
+  resolver.registService(
+    "Rate",
+    (records) =>
+      records.map(({ from, to }) => {
+        lookups.push(`${from}/${to}`);
+        return { rate: from === to ? "1" : "1.1" };
+      }),
+    {},
+    { cache }
+  );
+  return { compiled: resolver.compile(EXCHANGE), lookups };
+}
+
+test("results of the same records are reused across renders", async () => {
+  const { compiled, lookups } = createExchange({});
+  /** @param { string } from @param { string } to */
+  const rate = async (from, to) => {
+    const { views, report } = await compiled.renderWithReport(["main"], {
+      args: { from, to },
+    });
+    return `${views.main} (${report.services[0].cache})`;
+  };
+  assert.equal(await rate("EUR", "USD"), "EUR/USD 1.1 (miss)");
+  assert.equal(await rate("EUR", "USD"), "EUR/USD 1.1 (hit)");
+  assert.equal(await rate("USD", "USD"), "USD/USD 1 (miss)");
+  assert.deepEqual(lookups, ["EUR/USD", "USD/USD"]);
+});
+
+test("cached results expire after the ttl", async () => {
+  const { compiled, lookups } = createExchange({ ttl: 20 });
+  const context = { args: { from: "EUR", to: "USD" } };
+  await compiled.render(["main"], context);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  const { report } = await compiled.renderWithReport(["main"], context);
+  assert.deepEqual(report.cache, { hits: 0, misses: 1 });
+  assert.deepEqual(lookups, ["EUR/USD", "EUR/USD"]);
+});
+
+test("results are kept in the given store", async () => {
+  /** @type { Map<string, Record<string, any>> } */
+  const entries = new Map();
+  /** @type { number[] } */
+  const ttls = [];
+  const { compiled, lookups } = createExchange({
+    ttl: 60000,
+    store: {
+      get: async (key) => entries.get(key),
+      set: async (key, value, ttl) => {
+        entries.set(key, value);
+        ttls.push(Number(ttl));
+      },
+    },
+  });
+  await compiled.render(["main"], { args: { from: "EUR", to: "USD" } });
+  assert.deepEqual([...entries.values()], [{ rate: "1.1" }]);
+  assert.deepEqual(ttls, [60000]);
+
+  entries.set([...entries.keys()][0], { rate: "2" });
+  const views = await compiled.render(["main"], {
+    args: { from: "EUR", to: "USD" },
+  });
+  assert.deepEqual(views, { main: "EUR/USD 2" });
+  assert.deepEqual(lookups, ["EUR/USD"]);
+});
+
+test("records differing only in the order of nested fields share the entry", async () => {
+  const queries = [
+    { tag: "news", page: { size: 10, from: 0 } },
+    { page: { from: 0, size: 10 }, tag: "news" },
+  ];
+  /** @type { string[] } */
+  const searches = [];
+  const resolver = createResolver();
+  resolver.registService("Query", (records) =>
+    records.map(() => ({ query: queries.shift() }))
+  );
+  resolver.registService(
+    "Search",
+    (records) =>
+      records.map(({ query }) => {
+        searches.push(JSON.stringify(query));
+        return { total: 3 };
+      }),
+    {},
+    { cache: {} }
+  );
+  const compiled = resolver.compile(`#data
+  @query = Query
+  $query = query <- @query
+  @search = Search { query = $query; }
+  $total = total <- @search
+#view(main)
+{{total}}`);
+  await compiled.render(["main"], {});
+  const { views, report } = await compiled.renderWithReport(["main"], {});
+  assert.deepEqual(views, { main: "3" });
+  assert.deepEqual(report.cache, { hits: 1, misses: 0 });
+  assert.deepEqual(searches, ['{"tag":"news","page":{"size":10,"from":0}}']);
+});
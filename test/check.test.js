@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, check, ERROR_CODES } = require("../src/templater");
+
+function createUserResolver() {
+  const resolver = createResolver();
+  resolver.registService(
+    "User",
+    (records) => records.map(() => ({ name: "Ada" })),
+    { id: ["string"] }
+  );
+  return resolver;
+}
+
+/**
+ * @param { import('../src/types').TemplateDiagnostic[] } diagnostics
+ */
+const summarize = (diagnostics) =>
+  diagnostics.map(({ severity, code, line }) => `${severity} ${code} ${line}`);
+
+test("a valid template has no diagnostics", () => {
+  const template = `#data
+  $id = '1'
+  @user = User { id = $id; }
+  $name = name <- @user
+#view(main)
+{{name}}`;
+  assert.deepEqual(check(template, createUserResolver()), []);
+});
+
+test("undeclared references are errors, sorted by line", () => {
+  const diagnostics = createUserResolver().check(`#data
+  $id = '1'
+  $ghost = name <- @ghost
+  $alias = $nowhere
+  @team = Team { id = $id; }
+  $team = name <- @team
+#view(main)
+{{ghost}} {{alias}} {{team}} {{missing}}`);
+  assert.deepEqual(summarize(diagnostics), [
+    `error ${ERROR_CODES.UNKNOWN_SERVICE} 3`,
+    `error ${ERROR_CODES.UNKNOWN_VARIABLE} 4`,
+    `error ${ERROR_CODES.SERVICE_NOT_IMPLEMENTED} 5`,
+    `error ${ERROR_CODES.UNDEFINED_PLACEHOLDER} 8`,
+  ]);
+  assert.equal(
+    diagnostics[3].message,
+    'placeholder "{{missing}}" in #view(main) is not declared in #data'
+  );
+});
+
+test("declarations no view uses are warnings", () => {
+  const diagnostics = createUserResolver().check(`#data
+  $id = '1'
+  $unused = 'u'
+  @user = User { id = $id; }
+  @lonely = User { id = $id; }
+  $name = name <- @user
+#view(main)
+{{name}}`);
+  assert.deepEqual(
+    diagnostics.map(({ severity, message }) => `${severity}: ${message}`),
+    [
+      'warning: variable "$unused" is not used by any view',
+      'warning: service "@lonely" is not used by any view',
+    ]
+  );
+});
+
+test("service arguments are checked against the argsModel", () => {
+  const diagnostics = createUserResolver().check(`#data
+  $id = '1'
+  @user = User { id = $id; team = $id; }
+  $name = name <- @user
+#view(main)
+{{name}}`);
+  assert.deepEqual(
+    diagnostics.map(({ code, message, line }) => ({ code, message, line })),
+    [
+      {
+        code: ERROR_CODES.SERVICE_UNKNOWN_ARGUMENT,
+        message: 'service "User" does not accept parameter "team"',
+        line: 3,
+      },
+    ]
+  );
+});
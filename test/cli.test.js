@@ -0,0 +1,150 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { main } = require("../src/cli");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templater-cli-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Writes the file into the temporary directory of the tests.
+ *
+ * @param { string } name
+ * @param { string } content
+ */
+function write(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const invoice = write(
+  "invoice.tpl",
+  `#args
+  customer: string
+#data
+  @customer = Customer { id = $customer; }
+  $name = name <- @customer
+#view(subject)
+Invoice for {{name}}
+#view(body)
+Dear {{name}}`
+);
+const services = write(
+  "services.js",
+  `module.exports = (resolver) =>
+  resolver.registService("Customer", (records) =>
+    records.map(({ id }) => ({ name: "Customer " + id }))
+  );`
+);
+const args = write("args.json", JSON.stringify({ customer: "42" }));
+
+/**
+ * Runs the command line and keeps what it printed.
+ *
+ * @param { string[] } argv
+ */
+async function run(...argv) {
+  /** @type { string[] } */
+  const out = [];
+  /** @type { string[] } */
+  const err = [];
+  const status = await main(argv, {
+    out: (text) => out.push(text),
+    err: (text) => err.push(text),
+  });
+  return { status, out: out.join("\n"), err: err.join("\n") };
+}
+
+test("render prints the views as JSON", async () => {
+  const { status, out } = await run(
+    "render",
+    invoice,
+    "subject",
+    "--services",
+    services,
+    "--args",
+    args
+  );
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(out), { subject: "Invoice for Customer 42" });
+});
+
+test("render prints all the views as text unless they are named", async () => {
+  const { status, out } = await run(
+    "render",
+    invoice,
+    `--services=${services}`,
+    `--args=${args}`,
+    "--format=text"
+  );
+  assert.equal(status, 0);
+  assert.equal(
+    out,
+    "==> subject <==\nInvoice for Customer 42\n==> body <==\nDear Customer 42"
+  );
+});
+
+test("a failed render exits with 1", async () => {
+  const { status, err } = await run("render", invoice, "--args", args);
+  assert.equal(status, 1);
+  assert.match(err, /E_SERVICE_NOT_IMPLEMENTED/);
+});
+
+test("check reports the errors with their positions", async () => {
+  const broken = write(
+    "broken.tpl",
+    `#data
+  $name = name <- @customer
+#view(main)
+{{name}}`
+  );
+  const { status, out } = await run("check", broken);
+  assert.equal(status, 1);
+  assert.match(out, new RegExp(`^${broken}:2:\\d+: error E_`));
+
+  const clean = await run("check", invoice, "--services", services);
+  assert.deepEqual(clean, { status: 0, out: "", err: "" });
+});
+
+test("inspect prints the declarations and the resolution order", async () => {
+  const { status, out } = await run("inspect", invoice);
+  assert.equal(status, 0);
+  assert.match(out, /^arguments:\n {2}customer: string$/m);
+  assert.match(out, /^ {2}\$name = name <- @customer$/m);
+  assert.match(out, /^resolution order:\n {2}1\. @customer$/m);
+
+  const json = await run("inspect", invoice, "--format", "json");
+  assert.deepEqual(JSON.parse(json.out).order, [["customer"]]);
+});
+
+test("wrong usage exits with 2", async () => {
+  for (const argv of [
+    ["render"],
+    ["publish", invoice],
+    ["render", invoice, "--verbose"],
+    ["render", invoice, "--format", "xml"],
+    ["render", invoice, "--args"],
+  ]) {
+    const { status, err } = await run(...argv);
+    assert.equal(status, 2, argv.join(" "));
+    assert.match(err, /Usage: templater/);
+  }
+});
+
+test("graph prints the dependency graph in the chosen format", async () => {
+  const dot = await run("graph", invoice);
+  assert.equal(dot.status, 0);
+  assert.match(dot.out, /^digraph template \{/);
+
+  const mermaid = await run("graph", invoice, "subject", "--format=mermaid");
+  assert.match(mermaid.out, /^flowchart LR/);
+
+  const json = await run("graph", invoice, "--format", "json");
+  assert.deepEqual(
+    JSON.parse(json.out).nodes.map((/** @type { any } */ { id }) => id),
+    ["@customer", "$customer"]
+  );
+});
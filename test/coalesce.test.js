@@ -0,0 +1,107 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const NOTIFICATION = `#args
+  incident: string
+#data
+  @incident = IncidentById { id = $incident; }
+  $title = title <- @incident ?? 'unknown'
+#view(main)
+{{title}}`;
+
+/**
+ * Resolver whose `IncidentById` service keeps the ids of every call.
+ *
+ * @param { boolean | { window?: number } } [coalesce]
+ * @param { (ids: string[]) => void } [onCall] runs before the service answers
+ */
+function createIncidents(coalesce, onCall) {
+  /** @type { string[][] } */
+  const calls = [];
+  const resolver = createResolver({ coalesce });
+  resolver.registService("IncidentById", async (records) => {
+    const ids = records.map(({ id }) => String(id));
+    calls.push(ids);
+    onCall?.(ids);
+    return ids.map((id) => ({ title: `Incident ${id}` }));
+  });
+  return { compiled: resolver.compile(NOTIFICATION), calls };
+}
+
+/**
+ * @param { ReturnType<typeof createIncidents>["compiled"] } compiled
+ * @param { string[] } incidents
+ */
+function notify(compiled, incidents) {
+  return Promise.all(
+    incidents.map((incident) =>
+      compiled
+        .render(["main"], { args: { incident } })
+        .then((views) => views.main)
+    )
+  );
+}
+
+test("concurrent renders call the service once with the unique records", async () => {
+  const { compiled, calls } = createIncidents(true);
+  assert.deepEqual(await notify(compiled, ["7", "8", "7"]), [
+    "Incident 7",
+    "Incident 8",
+    "Incident 7",
+  ]);
+  assert.deepEqual(calls, [["7", "8"]]);
+});
+
+test("renders are not coalesced unless the resolver opts in", async () => {
+  const { compiled, calls } = createIncidents();
+  await notify(compiled, ["7", "8", "7"]);
+  assert.deepEqual(calls, [["7"], ["8"], ["7"]]);
+});
+
+test("calls within the window are gathered", async () => {
+  const { compiled, calls } = createIncidents({ window: 30 });
+  const first = compiled.render(["main"], { args: { incident: "7" } });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const second = compiled.render(["main"], { args: { incident: "8" } });
+  await Promise.all([first, second]);
+  assert.deepEqual(calls, [["7", "8"]]);
+});
+
+test("a failed batch fails the call in every render of it", async () => {
+  const { compiled, calls } = createIncidents(true, () => {
+    throw new Error("database is down");
+  });
+  const reports = await Promise.all(
+    ["7", "8"].map((incident) =>
+      compiled.renderWithReport(["main"], { args: { incident } })
+    )
+  );
+  assert.deepEqual(
+    reports.map(({ views, report }) => [views.main, report.services[0].status]),
+    [
+      ["unknown", "failed"],
+      ["unknown", "failed"],
+    ]
+  );
+  assert.equal(calls.length, 1);
+});
+
+test("an aborted render leaves the batch to the others", async () => {
+  const { compiled, calls } = createIncidents(true);
+  const controller = new AbortController();
+  const aborted = compiled.renderWithReport(["main"], {
+    args: { incident: "7" },
+    signal: controller.signal,
+  });
+  const other = compiled.render(["main"], { args: { incident: "8" } });
+  controller.abort();
+  const { views, report } = await aborted;
+  assert.deepEqual(views, { main: "unknown" });
+  assert.equal(
+    /** @type { any } */ (report.services[0].error).code,
+    ERROR_CODES.SERVICE_ABORTED
+  );
+  assert.deepEqual(await other, { main: "Incident 8" });
+  assert.deepEqual(calls, [["8"]]);
+});
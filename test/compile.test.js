@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+/** @param { string } greeting */
+const greetingTemplate = (greeting) => `#args
+  name: string
+#data
+  $greeting = '${greeting}'
+  @user = User { id = $name; }
+  $user = full_name <- @user
+#view(main)
+{{greeting}}, {{user}}!`;
+
+const users = {
+  /** @param { Record<string, any> } record */
+  User: ({ id }) => ({ full_name: `${id} Lovelace` }),
+};
+
+test("compiling the same text again returns the cached template", () => {
+  const resolver = resolverWith(users);
+  const compiled = resolver.compile(greetingTemplate("Hello"));
+  assert.equal(resolver.compile(greetingTemplate("Hello")), compiled);
+  assert.notEqual(resolver.compile(greetingTemplate("Hi")), compiled);
+});
+
+test("the least recently compiled templates are evicted", () => {
+  const resolver = createResolver({ templateCacheSize: 2 });
+  resolver.registService("User", (records) => records.map(users.User));
+  const hello = resolver.compile(greetingTemplate("Hello"));
+  const hi = resolver.compile(greetingTemplate("Hi"));
+  assert.equal(resolver.compile(greetingTemplate("Hello")), hello);
+  resolver.compile(greetingTemplate("Hey"));
+
+  assert.equal(resolver.compile(greetingTemplate("Hello")), hello);
+  assert.notEqual(resolver.compile(greetingTemplate("Hi")), hi);
+});
+
+test("registering a service drops the compiled templates", () => {
+  const resolver = resolverWith(users);
+  const compiled = resolver.compile(greetingTemplate("Hello"));
+  resolver.registService("Team", (records) => records);
+  assert.notEqual(resolver.compile(greetingTemplate("Hello")), compiled);
+});
+
+test("a serialized template renders the same after deserializing", async () => {
+  const compiled = resolverWith(users).compile(greetingTemplate("Hello"));
+  const serialized = JSON.parse(JSON.stringify(compiled.serialize()));
+
+  const restored = resolverWith(users).deserialize(serialized);
+  const context = { args: { name: "Ada" } };
+  assert.deepEqual(await restored.render(["main"], context), {
+    main: "Hello, Ada Lovelace!",
+  });
+  assert.deepEqual(
+    await restored.render(["main"], context),
+    await compiled.render(["main"], context)
+  );
+  assert.deepEqual(restored.argumentsSchema, compiled.argumentsSchema);
+});
+
+test("templates serialized by another version are rejected", () => {
+  const serialized = resolverWith(users)
+    .compile(greetingTemplate("Hello"))
+    .serialize();
+  assert.throws(
+    () => resolverWith(users).deserialize({ ...serialized, version: 0 }),
+    {
+      code: ERROR_CODES.COMPILED_TEMPLATE_VERSION,
+      message: 'unsupported compiled template version "0"',
+    }
+  );
+});
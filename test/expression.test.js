@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const {
+  parseExpression,
+  formatExpression,
+  expressionVariables,
+} = require("../src/expression");
+const { resolverWith } = require("./helpers");
+
+/**
+ * Resolver with the incident and the channel of the notification sent
+ * with its subject.
+ */
+function createNotifier() {
+  return resolverWith({
+    Incident: () => ({ name: "Disk full", tag: "db" }),
+    /** @param { Record<string, any> } record */
+    Channel: ({ subject }) => ({ id: `#${subject.length}` }),
+  });
+}
+
+test("expressions are parsed and formatted back", () => {
+  const expression = parseExpression(`"S:\${flag}" + $name.first + '!'`);
+  assert.equal(
+    formatExpression(expression),
+    "'S:' + $flag + $name.first + '!'"
+  );
+  assert.deepEqual(expressionVariables(expression), ["flag", "name"]);
+  assert.throws(() => parseExpression("$a +"), /expected/);
+  assert.throws(() => parseExpression(`"open`), /unterminated/);
+});
+
+test("a subject is built by concatenation and interpolation", async () => {
+  const views = await createNotifier()
+    .compile(
+      `#data
+  @incident = Incident
+  $name = name <- @incident
+  $tag = tag <- @incident
+  $subject = "Incident \${name} [\${tag}]"
+  $short = 'Incident ' + $name + ' (' + $tag + ')'
+#view(main)
+{{subject}} / {{short}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, {
+    main: "Incident Disk full [db] / Incident Disk full (db)",
+  });
+});
+
+test("a computed variable can be the argument of a service", async () => {
+  const resolver = createNotifier();
+  const template = `#data
+  @incident = Incident
+  $name = name <- @incident
+  $subject = "Incident \${name}"
+  @channel = Channel { subject = $subject; }
+  $channel = id <- @channel
+#view(main)
+{{channel}}`;
+  assert.deepEqual(await resolver.compile(template).render(["main"]), {
+    main: "#18",
+  });
+  assert.deepEqual(resolver.inspect(template).order, [
+    ["incident"],
+    ["channel"],
+  ]);
+});
+
+test("expressions read the arguments declared in #args", async () => {
+  const resolver = createResolver();
+  const compiled = resolver.compile(`#args
+  team: string
+#data
+  $greeting = "Hi \${team}" + '!'
+#view(main)
+{{greeting}}`);
+  assert.deepEqual(await compiled.render(["main"], { args: { team: "sre" } }), {
+    main: "Hi sre!",
+  });
+});
+
+test("expressions refer only to declared variables", () => {
+  assert.throws(
+    () =>
+      createNotifier().compile(`#data
+  $subject = 'Incident ' + $missing
+#view(main)
+{{subject}}`),
+    {
+      code: ERROR_CODES.UNKNOWN_VARIABLE,
+      reason: 'variable "$subject" refers to undeclared variable "$missing"',
+    }
+  );
+});
+
+test("variables of the expressions must not depend on each other", () => {
+  assert.throws(
+    () =>
+      createNotifier().compile(`#data
+  $subject = $body + ''
+  $body = $subject + ''
+#view(main)
+{{subject}}`),
+    { code: ERROR_CODES.DEPENDENCY_CYCLE }
+  );
+});
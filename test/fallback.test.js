@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+test("a constant replaces a missing field or a failed service", async () => {
+  const resolver = resolverWith({ Incident: () => ({ title: "Disk full" }) });
+  resolver.registService("Tags", () => {
+    throw new Error("tags are down");
+  });
+  const views = await resolver
+    .compile(
+      `#data
+  @incident = Incident
+  $tag = tag <- @incident ?? 'n/a'
+  @tags = Tags
+  $label = label <- @tags ?? 'unlabelled'
+#view(main)
+{{tag}} {{label}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "n/a unlabelled" });
+});
+
+test("fallbacks are tried in the order they are written", async () => {
+  /** @param { string } template */
+  const render = async (template) =>
+    (
+      await resolverWith({
+        Primary: () => ({}),
+        Secondary: () => ({ title: "from secondary" }),
+      })
+        .compile(template)
+        .render(["main"])
+    ).main;
+
+  assert.equal(
+    await render(`#data
+  @primary = Primary
+  @secondary = Secondary
+  $title = title <- @primary ?? title <- @secondary ?? 'untitled'
+#view(main)
+{{title}}`),
+    "from secondary"
+  );
+  assert.equal(
+    await render(`#data
+  $default_title = 'default'
+  @primary = Primary
+  $title = title <- @primary ?? subject <- @primary ?? $default_title ?? 'untitled'
+#view(main)
+{{title}}`),
+    "default"
+  );
+});
+
+test("a fallback must be a field, a declared variable or a string", () => {
+  assert.throws(
+    () =>
+      createResolver().compile(`#data
+  @primary = Primary
+  $title = title <- @primary ?? $later
+  $later = 'x'
+#view(main)
+{{title}}`),
+    {
+      code: ERROR_CODES.INVALID_FALLBACK,
+      message: /^invalid fallback "\$later"/,
+      line: 3,
+    }
+  );
+});
@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const USER_INCIDENTS = `#args
+  user_incident_ids: string[]
+#data
+  @incidents = IncidentById[] { id = $user_incident_ids; }
+  $names = name <- @incidents
+  $assignee_ids = assignee <- @incidents
+  @assignees = User[] { id = $assignee_ids; }
+  $assignees = name <- @assignees
+#view(main)
+{{#each names}}{{this}}; {{/each}}{{assignees}}`;
+
+/**
+ * Resolver with the incidents and their assignees, the records of every
+ * call are kept in `batches`.
+ */
+function createIncidents() {
+  /** @type { string[][] } */
+  const batches = [];
+  const resolver = createResolver({ collectErrors: true });
+  resolver.registService(
+    "IncidentById",
+    (records) => {
+      batches.push(records.map(({ id }) => String(id)));
+      return records.map(({ id, locale }) => ({
+        name: locale === "de" ? `Vorfall ${id}` : `Incident ${id}`,
+        assignee: `u${id}`,
+      }));
+    },
+    {},
+    { output: { name: ["string"], assignee: ["string"] } }
+  );
+  resolver.registService("User", (records) => {
+    batches.push(records.map(({ id }) => String(id)));
+    return records.map(({ id }) => ({ name: `User ${id}` }));
+  });
+  return { resolver, batches };
+}
+
+test("a Name[] service is called once with a record per element", async () => {
+  const { resolver, batches } = createIncidents();
+  const { views, report } = await resolver
+    .compile(USER_INCIDENTS)
+    .renderWithReport(["main"], { args: { user_incident_ids: ["7", "8"] } });
+  assert.deepEqual(views, {
+    main: "Incident 7; Incident 8; User u7,User u8",
+  });
+  assert.deepEqual(batches, [
+    ["7", "8"],
+    ["u7", "u8"],
+  ]);
+  assert.equal(report.status, "ok");
+});
+
+test("list arguments of a Name[] service are walked together", async () => {
+  const { resolver } = createIncidents();
+  const compiled = resolver.compile(`#args
+  ids: string[]
+  locales: string[]
+#data
+  @incidents = IncidentById[] { id = $ids; locale = $locales; }
+  $names = name <- @incidents ?? 'none'
+#view(main)
+{{names}}`);
+  assert.deepEqual(
+    await compiled.render(["main"], {
+      args: { ids: ["7", "8"], locales: ["de", "en"] },
+    }),
+    { main: "Vorfall 7,Incident 8" }
+  );
+
+  const context = { args: { ids: ["7", "8"], locales: ["de"] } };
+  const { views, report } = await compiled.renderWithReport(["main"], context);
+  assert.deepEqual(views, { main: "none" });
+  assert.equal(
+    /** @type { any } */ (report.services[0].error).code,
+    ERROR_CODES.SERVICE_FAN_OUT
+  );
+  await assert.rejects(
+    compiled.render(["main"], { ...context, failurePolicy: "fail" }),
+    { code: ERROR_CODES.SERVICE_FAN_OUT }
+  );
+});
+
+test("a Name[] service without a list argument is reported when compiled", () => {
+  const { resolver } = createIncidents();
+  const template = `#args
+  id: string
+#data
+  @incident = IncidentById { id = $id; }
+  $assignee = assignee <- @incident
+  @assignees = User[] { id = $assignee; }
+  $names = name <- @assignees
+  $admin = 'u0'
+  @admins = User[] { id = $admin; }
+  $admins = name <- @admins
+#view(main)
+{{names}} {{admins}}`;
+  assert.deepEqual(
+    resolver.check(template).map(({ code, message }) => [code, message]),
+    [
+      [
+        ERROR_CODES.SERVICE_FAN_OUT,
+        'service "@assignees" maps over a list but none of its arguments is one',
+      ],
+      [
+        ERROR_CODES.SERVICE_FAN_OUT,
+        'service "@admins" maps over a list but none of its arguments is one',
+      ],
+    ]
+  );
+  assert.throws(
+    () => resolver.compile(template),
+    (
+      /** @type { import('../src/diagnostics').TemplaterDiagnosticsError } */ error
+    ) => error.errors[0].code === ERROR_CODES.SERVICE_FAN_OUT
+  );
+});
+
+test("arguments of unknown types are checked when rendering", async () => {
+  const { resolver } = createIncidents();
+  resolver.registService("Oncall", (records) =>
+    records.map(() => ({ user: "u1" }))
+  );
+  const { views, report } = await resolver
+    .compile(
+      `#data
+  @oncall = Oncall
+  $user = user <- @oncall
+  @users = User[] { id = $user; }
+  $names = name <- @users ?? 'none'
+#view(main)
+{{names}}`
+    )
+    .renderWithReport(["main"]);
+  assert.deepEqual(views, { main: "none" });
+  assert.equal(
+    report.services.find(({ key }) => key === "users")?.status,
+    "failed"
+  );
+});
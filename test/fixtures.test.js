@@ -0,0 +1,152 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createResolver,
+  ServiceFixture,
+  loadFixture,
+  saveFixture,
+  ERROR_CODES,
+} = require("../src/templater");
+
+const INCIDENT = `#args
+  id: string
+#data
+  @incident = Incident { id = $id; }
+  $title = title <- @incident
+  $comments = meta.comments <- @incident
+#view(main)
+{{title}} ({{comments}} comments)`;
+
+/**
+ * Resolver recording the calls of its `Incident` service.
+ */
+function createRecorder() {
+  const resolver = createResolver({ serviceMode: "record" });
+  resolver.registService("Incident", (records) =>
+    records.map(({ id }) => ({
+      title: `Incident ${id}`,
+      meta: { comments: 2 },
+    }))
+  );
+  return resolver;
+}
+
+/**
+ * @param { import('../src/fixtures').ServiceFixture } fixture
+ */
+function createReplayer(fixture) {
+  return createResolver({ serviceMode: "replay", fixture });
+}
+
+test("recorded calls are replayed without the services", async () => {
+  const recorder = createRecorder();
+  const context = { args: { id: "7" } };
+  const recorded = await recorder.compile(INCIDENT).render(["main"], context);
+  assert.deepEqual(recorded, { main: "Incident 7 (2 comments)" });
+  assert.deepEqual(recorder.fixture.toJSON(), {
+    version: 1,
+    calls: [
+      {
+        service: "Incident",
+        args: { id: "7" },
+        result: { title: "Incident 7", meta: { comments: 2 } },
+      },
+    ],
+  });
+
+  const replayed = await createReplayer(recorder.fixture)
+    .compile(INCIDENT)
+    .render(["main"], context);
+  assert.deepEqual(replayed, recorded);
+});
+
+test("a call missing from the fixture fails the render", async () => {
+  const recorder = createRecorder();
+  await recorder.compile(INCIDENT).render(["main"], { args: { id: "7" } });
+  await assert.rejects(
+    createReplayer(recorder.fixture)
+      .compile(INCIDENT)
+      .render(["main"], { args: { id: "8" } }),
+    {
+      code: ERROR_CODES.FIXTURE_MISSING,
+      message:
+        'fixture has no result of service Incident called with {"id":"8"}',
+    }
+  );
+});
+
+test("fixtures are saved to and loaded from JSON files", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templater-fixture-"));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "incident.json");
+
+  const recorder = createRecorder();
+  await recorder.compile(INCIDENT).render(["main"], { args: { id: "7" } });
+  saveFixture(file, recorder.fixture);
+
+  const fixture = loadFixture(file);
+  assert.equal(fixture.size, 1);
+  assert.deepEqual(
+    await createReplayer(fixture)
+      .compile(INCIDENT)
+      .render(["main"], { args: { id: "7" } }),
+    { main: "Incident 7 (2 comments)" }
+  );
+});
+
+test("invalid fixtures are rejected", () => {
+  for (const [json, message] of [
+    [null, 'unsupported fixture version "undefined"'],
+    [{ version: 2, calls: [] }, 'unsupported fixture version "2"'],
+    [
+      { version: 1, calls: [{ service: "Incident", args: {} }] },
+      "call 0 of the fixture must have service, args and result",
+    ],
+  ]) {
+    assert.throws(() => ServiceFixture.fromJSON(json), {
+      code: ERROR_CODES.INVALID_FIXTURE,
+      message,
+    });
+  }
+});
+
+test("stubs fill the fields the template reads", async () => {
+  const views = await createResolver({ serviceMode: "stub" })
+    .compile(INCIDENT)
+    .render(["main"], { args: { id: "7" } });
+  assert.deepEqual(views, { main: "<title> (<meta.comments> comments)" });
+});
+
+test("stubs follow the output model of the service", async () => {
+  const resolver = createResolver({ serviceMode: "stub" });
+  resolver.registService(
+    "Incident",
+    () => [],
+    {},
+    {
+      output: {
+        title: ["string"],
+        meta: { comments: ["number"], open: ["boolean"] },
+        tags: ["string[]"],
+      },
+    }
+  );
+  const views = await resolver
+    .compile(
+      `#args
+  id: string
+#data
+  @incident = Incident { id = $id; }
+  $title = title <- @incident
+  $comments = meta.comments <- @incident
+  $open = meta.open <- @incident
+  $tags = tags <- @incident
+#view(main)
+{{title}} {{comments}} {{open}} {{tags}}`
+    )
+    .render(["main"], { args: { id: "7" } });
+  assert.deepEqual(views, { main: "<title> 0 false <tags>" });
+});
@@ -0,0 +1,162 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+/**
+ * Resolver with the `lower` and `first` functions and the incident
+ * looked up by its id.
+ *
+ * @param { import('./helpers').ResolverOptions } [options]
+ */
+function createIncidents(options) {
+  /** @type { string[] } */
+  const lookups = [];
+  const resolver = resolverWith(
+    {
+      Incident: ({ id }) => {
+        lookups.push(String(id));
+        return { title: `Incident ${id}` };
+      },
+    },
+    options
+  );
+  resolver.registFunction("lower", (value) => String(value).toLowerCase());
+  resolver.registFunction("first", (list) =>
+    Array.isArray(list) ? list[0] : list
+  );
+  return { resolver, lookups };
+}
+
+const INCIDENT = `#args
+  incident_id: string
+  tags: string[]
+#data
+  $id = lower($incident_id)
+  $first = first($tags)
+  @incident = Incident { id = $id; }
+  $title = title <- @incident
+#view(main)
+{{title}} [{{first}}]`;
+
+test("functions compute the variables passed to the services", async () => {
+  const { resolver, lookups } = createIncidents();
+  const views = await resolver
+    .compile(INCIDENT)
+    .render(["main"], { args: { incident_id: "INC-7", tags: ["db", "eu"] } });
+  assert.deepEqual(views, { main: "Incident inc-7 [db]" });
+  assert.deepEqual(lookups, ["inc-7"]);
+});
+
+test("calls of unknown functions or with wrong arity fail the build", () => {
+  const { resolver } = createIncidents({ collectErrors: true });
+  assert.throws(
+    () =>
+      resolver.compile(`#data
+  $a = upper('x')
+  $b = lower('x', 'y')
+#view(main)
+{{a}}{{b}}`),
+    (
+      /** @type { import('../src/diagnostics').TemplaterDiagnosticsError } */ error
+    ) => {
+      assert.deepEqual(
+        error.errors.map(({ code, line }) => [code, line]),
+        [
+          [ERROR_CODES.UNKNOWN_FUNCTION, 2],
+          [ERROR_CODES.FUNCTION_ARITY, 3],
+        ]
+      );
+      return true;
+    }
+  );
+});
+
+test("the arity can be given for functions with optional parameters", async () => {
+  const { resolver } = createIncidents();
+  resolver.registFunction(
+    "join",
+    (/** @type { any } */ list, separator = ", ") => list.join(separator),
+    { arity: 2 }
+  );
+  const views = await resolver
+    .compile(
+      `#args
+  tags: string[]
+#data
+  $path = join($tags, '/')
+#view(main)
+{{path}}`
+    )
+    .render(["main"], { args: { tags: ["db", "eu"] } });
+  assert.deepEqual(views, { main: "db/eu" });
+});
+
+test("function names are checked when registered", () => {
+  const { resolver } = createIncidents();
+  for (const name of ["Lower", "to-lower", ""]) {
+    assert.throws(() => resolver.registFunction(name, String), {
+      code: ERROR_CODES.FUNCTION_NAME,
+    });
+  }
+});
+
+test("a failing function fails the render with the variable", async () => {
+  const { resolver, lookups } = createIncidents();
+  resolver.registFunction(
+    "lower",
+    () => {
+      throw new Error("not a string");
+    },
+    { arity: 1 }
+  );
+  await assert.rejects(
+    resolver
+      .compile(INCIDENT)
+      .render(["main"], { args: { incident_id: "INC-7", tags: [] } }),
+    {
+      code: ERROR_CODES.FUNCTION_FAILED,
+      reason: 'variable "$id" cannot be computed - not a string',
+    }
+  );
+  assert.deepEqual(lookups, []);
+});
+
+test("async functions are rejected", async () => {
+  const { resolver } = createIncidents();
+  assert.throws(
+    () =>
+      resolver.registFunction(
+        "lookup",
+        /** @type { any } */ (async (/** @type { string } */ id) => id)
+      ),
+    {
+      code: ERROR_CODES.FUNCTION_ASYNC,
+      message: 'function "lookup" must be synchronous',
+    }
+  );
+
+  let called = false;
+  // a function returning a promise is found out only when called
+  resolver.registFunction(
+    "lower",
+    /** @type { any } */ (
+      () => {
+        called = true;
+        return Promise.reject(new Error("not a string"));
+      }
+    ),
+    { arity: 1 }
+  );
+  await assert.rejects(
+    resolver
+      .compile(INCIDENT)
+      .render(["main"], { args: { incident_id: "INC-7", tags: [] } }),
+    {
+      code: ERROR_CODES.FUNCTION_FAILED,
+      reason:
+        'variable "$id" cannot be computed - function "lower" must be synchronous',
+    }
+  );
+  assert.ok(called);
+});
@@ -0,0 +1,132 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver } = require("../src/templater");
+const { toDot, toMermaid } = require("../src/graph");
+
+const FORECAST = `#data
+  @city = City
+  $city = name <- @city
+  @weather = Weather { city = $city; }
+  $forecast = forecast <- @weather
+  @alerts = Alerts { forecast = $forecast; }
+  $alert = message <- @alerts ?? 'none'
+#view(main)
+{{forecast}} {{alert}}
+#view(short)
+{{forecast}}`;
+
+/**
+ * @param { string } template
+ * @param { string[] } [views]
+ */
+function graphOf(template, views) {
+  return createResolver().graph(template, { views });
+}
+
+test("services are linked by the fields passed to their arguments", () => {
+  const { nodes, edges } = graphOf(FORECAST);
+  assert.deepEqual(
+    nodes.map(({ id, kind, level, used }) => ({ id, kind, level, used })),
+    [
+      { id: "@city", kind: "service", level: 0, used: undefined },
+      { id: "@weather", kind: "service", level: 1, used: undefined },
+      { id: "@alerts", kind: "service", level: 2, used: undefined },
+    ]
+  );
+  assert.deepEqual(
+    edges.map(({ from, to, label }) => `${from} -> ${to}: ${label}`),
+    [
+      "@city -> @weather: name → city",
+      "@weather -> @alerts: forecast → forecast",
+    ]
+  );
+});
+
+test("the nodes the views do not need are marked", () => {
+  const { nodes } = graphOf(FORECAST, ["short"]);
+  assert.deepEqual(
+    nodes.filter(({ used }) => !used).map(({ id }) => id),
+    ["@alerts"]
+  );
+});
+
+test("constants and aliases are nodes of their own", () => {
+  const { nodes, edges } = graphOf(`#data
+  $unit = 'C'
+  $scale = $unit
+  @weather = Weather { unit = $scale; }
+  $forecast = forecast <- @weather
+#view(main)
+{{forecast}}`);
+  assert.deepEqual(
+    nodes.map(({ id, kind, label }) => `${id} ${kind} ${label}`),
+    [
+      "@weather service @weather\nWeather",
+      "$scale alias $scale = $unit",
+      "$unit constant $unit = 'C'",
+    ]
+  );
+  assert.deepEqual(
+    edges.map(({ from, to, label }) => `${from} -> ${to}: ${label}`),
+    ["$unit -> $scale: $unit", "$scale -> @weather: unit"]
+  );
+});
+
+test("the graph is printed as DOT", () => {
+  assert.equal(
+    toDot(graphOf(FORECAST, ["short"])),
+    `digraph template {
+  rankdir=LR;
+  "@city" [label="@city\\nCity", shape=box];
+  "@weather" [label="@weather\\nWeather", shape=box];
+  "@alerts" [label="@alerts\\nAlerts", shape=box, style=dashed, color=gray];
+  "@city" -> "@weather" [label="name → city"];
+  "@weather" -> "@alerts" [label="forecast → forecast"];
+}`
+  );
+});
+
+test("the graph is printed as a Mermaid flowchart", () => {
+  assert.equal(
+    toMermaid(graphOf(FORECAST, ["short"])),
+    `flowchart LR
+  n0["@city<br/>City"]
+  n1["@weather<br/>Weather"]
+  n2["@alerts<br/>Alerts"]
+  n0 -->|"name → city"| n1
+  n1 -->|"forecast → forecast"| n2
+  classDef unused stroke-dasharray: 5 5,opacity:0.5;
+  class n2 unused;`
+  );
+});
+
+test("arguments of #args passed to the services are nodes", () => {
+  const { nodes, edges } = graphOf(
+    `#args
+  city: string
+  unit?: string
+#data
+  @weather = Weather { city = $city; }
+  $forecast = forecast <- @weather
+  @alerts = Alerts { unit = $unit; }
+  $alert = message <- @alerts
+#view(main)
+{{forecast}} {{alert}}
+#view(short)
+{{forecast}}`,
+    ["short"]
+  );
+  assert.deepEqual(
+    nodes.map(({ id, kind, label, used }) => `${id} ${kind} ${label} ${used}`),
+    [
+      "@weather service @weather\nWeather true",
+      "@alerts service @alerts\nAlerts false",
+      "$city arguments $city: string true",
+      "$unit arguments $unit: string false",
+    ]
+  );
+  assert.deepEqual(
+    edges.map(({ from, to, label }) => `${from} -> ${to}: ${label}`),
+    ["$city -> @weather: city", "$unit -> @alerts: unit"]
+  );
+});
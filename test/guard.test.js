@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+const INCIDENT = `#args
+  id: string
+  include_jira: string = 'yes'
+#data
+  @work = Work { id = $id; }
+  $work = key <- @work
+  @jira = Jira { key = $work; } when $work
+  $issue = title <- @jira
+  @comments = Comments { issue = $issue; } when $include_jira == 'yes'
+  $comments = count <- @comments ?? 'no'
+#view(main)
+[{{issue}}] {{comments}} comments`;
+
+/**
+ * Incidents linked to the work items, the incident `0` has none. The
+ * statuses of the services are returned with the rendered view.
+ *
+ * @param { Record<string, string> } args
+ */
+async function renderIncident(args) {
+  const resolver = resolverWith(
+    {
+      Work: ({ id }) => ({ key: id === "0" ? "" : `OPS-${id}` }),
+      Jira: ({ key }) => ({ title: `${key} Disk full` }),
+      Comments: () => ({ count: "3" }),
+    },
+    { collectErrors: true }
+  );
+  const { views, report } = await resolver
+    .compile(INCIDENT)
+    .renderWithReport(["main"], { args });
+  return {
+    view: views.main,
+    statuses: Object.fromEntries(
+      report.services.map(({ key, status }) => [key, status])
+    ),
+    report,
+  };
+}
+
+test("guarded services run when their conditions hold", async () => {
+  const { view, statuses } = await renderIncident({ id: "7" });
+  assert.equal(view, "[OPS-7 Disk full] 3 comments");
+  assert.deepEqual(statuses, {
+    work: "resolved",
+    jira: "resolved",
+    comments: "resolved",
+  });
+});
+
+test("a condition on an argument skips the service", async () => {
+  const { view, statuses, report } = await renderIncident({
+    id: "7",
+    include_jira: "no",
+  });
+  assert.equal(view, "[OPS-7 Disk full] no comments");
+  assert.equal(statuses.comments, "skipped");
+  assert.equal(
+    report.services.find(({ key }) => key === "comments")?.guard,
+    false
+  );
+  assert.equal(report.status, "ok");
+});
+
+test("services downstream of a false condition are skipped", async () => {
+  const { view, statuses, report } = await renderIncident({ id: "0" });
+  assert.equal(view, "[] no comments");
+  assert.deepEqual(statuses, {
+    work: "resolved",
+    jira: "skipped",
+    comments: "skipped",
+  });
+  assert.equal(
+    report.services.find(({ key }) => key === "comments")?.skippedBy,
+    "jira"
+  );
+  assert.equal(report.status, "ok");
+});
+
+test("conditions refer only to declared variables and arguments", () => {
+  const resolver = resolverWith(
+    { Work: () => ({}), Jira: () => ({}), Comments: () => ({}) },
+    { collectErrors: true }
+  );
+  assert.deepEqual(resolver.check(INCIDENT), []);
+  assert.deepEqual(
+    resolver
+      .check(INCIDENT.replace("when $work", "when $missing"))
+      .map(({ code, message }) => [code, message]),
+    [
+      [
+        ERROR_CODES.UNKNOWN_VARIABLE,
+        'condition of service "@jira" refers to undeclared variable "$missing"',
+      ],
+    ]
+  );
+  assert.throws(
+    () => resolver.compile(INCIDENT.replace("when $work", "when $work ==")),
+    (
+      /** @type { import('../src/diagnostics').TemplaterDiagnosticsError } */ error
+    ) => error.errors[0].code === ERROR_CODES.INVALID_SERVICE
+  );
+});
@@ -0,0 +1,40 @@
+/**
+ * @typedef { import('../src/types').ResolverArgs } ResolverArgs
+ * @typedef { Record<string, import('../src/types').ResolverAvailableTypes> } ResultRecord
+ * @typedef { NonNullable<Parameters<typeof createResolver>[0]> } ResolverOptions
+ */
+
+const { createResolver } = require("../src/templater");
+
+/**
+ * Resolver with the services answering every record of a call with the
+ * record their function returns for it.
+ *
+ * @param { Record<string, (record: ResolverArgs) => ResultRecord> } services
+ * @param { ResolverOptions } [options]
+ */
+function resolverWith(services, options) {
+  const resolver = createResolver(options);
+  for (const name of Object.keys(services)) {
+    resolver.registService(name, (records) => records.map(services[name]));
+  }
+  return resolver;
+}
+
+/**
+ * Promise with its resolve function, for the services answering when the
+ * test says so.
+ *
+ * @template T
+ */
+function deferred() {
+  /** @type { (value: T) => void } */
+  let resolve = () => {};
+  /** @type { Promise<T> } */
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+module.exports = { resolverWith, deferred };
@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  traceResolver,
+  InMemorySpanExporter,
+  ERROR_CODES,
+} = require("../src/templater");
+const { SPAN_STATUS } = require("../src/tracing");
+const { resolverWith } = require("./helpers");
+
+const ALERT = `#data
+  @incident = Incident
+  $title = title <- @incident
+  @oncall = Oncall
+  $oncall = name <- @oncall
+  @summary = Summary { title = $title; oncall = $oncall; }
+  $summary = text <- @summary
+  @runbook = Runbook
+  $runbook = url <- @runbook ?? 'none'
+#view(email)
+{{summary}}
+#view(sms)[text]
+{{runbook}}`;
+
+/**
+ * Resolver of the alert, its `Runbook` service is down.
+ */
+function createAlerts() {
+  const resolver = resolverWith({
+    Incident: () => ({ title: "Disk full" }),
+    Oncall: () => ({ name: "Ann" }),
+    Summary: ({ title, oncall }) => ({ text: `${title} for ${oncall}` }),
+  });
+  resolver.registService("Runbook", () => {
+    throw new Error("wiki is down");
+  });
+  return resolver;
+}
+
+test("hooks are called for every stage of the render", async () => {
+  const resolver = createAlerts();
+  /** @type { string[] } */
+  const events = [];
+  for (const event of /** @type { const } */ ([
+    "parse",
+    "compile",
+    "renderStart",
+    "batchStart",
+    "batchEnd",
+    "view",
+    "renderEnd",
+  ])) {
+    resolver.registHook(event, () => events.push(event));
+  }
+  const views = await resolver.compile(ALERT).render(["email", "sms"]);
+
+  assert.deepEqual(views, {
+    email: "Disk full for Ann",
+    sms: "none",
+  });
+  assert.deepEqual(events.slice(0, 3), ["parse", "compile", "renderStart"]);
+  assert.equal(events.filter((event) => event === "batchStart").length, 4);
+  assert.equal(events.filter((event) => event === "batchEnd").length, 4);
+  assert.deepEqual(events.slice(-3), ["view", "view", "renderEnd"]);
+});
+
+test("batch events carry the services, the records and the error", async () => {
+  const resolver = createAlerts();
+  /** @type { import('../src/hooks').HookEvents["batchEnd"][] } */
+  const batches = [];
+  resolver.registHook("batchEnd", (event) => batches.push(event));
+  /** @type { import('../src/hooks').HookEvents["renderEnd"][] } */
+  const renders = [];
+  resolver.registHook("renderEnd", (event) => renders.push(event));
+  await resolver.compile(ALERT).render(["email"]);
+
+  const summary = batches.find(({ service }) => service === "Summary");
+  assert.deepEqual(summary?.keys, ["summary"]);
+  assert.deepEqual(summary?.after, ["incident", "oncall"]);
+  assert.equal(summary?.records, 1);
+  assert.equal(summary?.render, renders[0].render);
+  const runbook = batches.find(({ service }) => service === "Runbook");
+  assert.equal(/** @type { Error } */ (runbook?.error).message, "wiki is down");
+  assert.equal(renders[0].status, "degraded");
+});
+
+test("a failing hook does not break the render", async () => {
+  const resolver = createAlerts();
+  resolver.registHook("view", () => {
+    throw new Error("hook");
+  });
+  const views = await resolver.compile(ALERT).render(["email"]);
+  assert.deepEqual(views, { email: "Disk full for Ann" });
+});
+
+test("hooks can be removed and unknown events are rejected", async () => {
+  const resolver = createAlerts();
+  let calls = 0;
+  const remove = resolver.registHook("renderStart", () => ++calls);
+  const compiled = resolver.compile(ALERT);
+  await compiled.render(["email"]);
+  remove();
+  await compiled.render(["email"]);
+  assert.equal(calls, 1);
+  assert.throws(
+    // @ts-ignore
+    () => resolver.registHook("unknown", () => {}),
+    { code: ERROR_CODES.HOOK_EVENT }
+  );
+});
+
+test("spans follow the dependency graph", async () => {
+  const resolver = createAlerts();
+  const exporter = new InMemorySpanExporter();
+  const stop = traceResolver(resolver, { exporter });
+  await resolver.compile(ALERT).render(["email", "sms"]);
+  stop();
+
+  const spans = exporter.getFinishedSpans();
+  /** @param { string } name */
+  const span = (name) => {
+    const found = spans.find((span) => span.name === name);
+    assert.ok(found, `span ${name}`);
+    return found;
+  };
+  const render = span("render");
+  assert.equal(render.parentSpanId, undefined);
+  assert.equal(render.attributes["templater.status"], "degraded");
+  assert.equal(span("parse").parentSpanId, undefined);
+  assert.notEqual(span("parse").traceId, render.traceId);
+
+  for (const name of ["service Incident", "service Oncall", "view email"]) {
+    assert.equal(span(name).parentSpanId, render.spanId);
+    assert.equal(span(name).traceId, render.traceId);
+  }
+  const summary = span("service Summary");
+  const parents = [span("service Incident"), span("service Oncall")];
+  const parent = parents.find(({ spanId }) => spanId === summary.parentSpanId);
+  assert.ok(parent, "the summary is a child of one of its inputs");
+  assert.deepEqual(
+    summary.links.map(({ spanId }) => spanId),
+    parents.filter((span) => span !== parent).map(({ spanId }) => spanId)
+  );
+  assert.equal(span("service Runbook").status.code, SPAN_STATUS.ERROR);
+  assert.equal(span("service Runbook").status.message, "wiki is down");
+  assert.equal(summary.status.code, SPAN_STATUS.OK);
+});
+
+test("tracing stops exporting once stopped", async () => {
+  const resolver = createAlerts();
+  const exporter = new InMemorySpanExporter();
+  traceResolver(resolver, { exporter })();
+  await resolver.compile(ALERT).render(["email"]);
+  assert.deepEqual(exporter.getFinishedSpans(), []);
+});
@@ -0,0 +1,187 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createFileLoader,
+  createResolver,
+  ERROR_CODES,
+} = require("../src/templater");
+
+/**
+ * Loader of the templates kept in memory by their names.
+ *
+ * @param { Record<string, string> } files
+ * @returns { import('../src/types').TemplateLoader }
+ */
+function memoryLoader(files) {
+  return {
+    resolve: (specifier) => specifier,
+    load: (id) => {
+      if (!(id in files)) {
+        throw new Error("no such template");
+      }
+      return files[id];
+    },
+  };
+}
+
+const ONCALL = `#data
+  @oncall = OnCall
+  $name = name <- @oncall`;
+
+/**
+ * @param { Record<string, string> } files
+ */
+function createTeam(files) {
+  const resolver = createResolver({ loader: memoryLoader(files) });
+  resolver.registService("OnCall", (records) =>
+    records.map(() => ({ name: "Ann" }))
+  );
+  return resolver;
+}
+
+test("imported declarations are namespaced", async () => {
+  const resolver = createTeam({ "oncall.tpl": ONCALL });
+  const template = `#data
+#import "oncall.tpl" as primary
+#import "oncall.tpl" as backup
+  $name = 'Bob'
+#view(main)
+{{primary:name}}, {{backup:name}} and {{name}}`;
+  assert.deepEqual(await resolver.compile(template).render(["main"]), {
+    main: "Ann, Ann and Bob",
+  });
+  assert.deepEqual(
+    resolver.inspect(template).services.map(({ key }) => key),
+    ["primary:oncall", "backup:oncall"]
+  );
+});
+
+test("errors of the imported template point into its file", () => {
+  const resolver = createTeam({
+    "broken.tpl": `#data
+  $name = name <- @missing`,
+  });
+  assert.deepEqual(
+    resolver.check(`#data
+#import "broken.tpl" as team
+#view(main)
+`),
+    [
+      {
+        code: ERROR_CODES.UNKNOWN_SERVICE,
+        severity: "error",
+        message:
+          'variable "$team:name" refers to undeclared service "@team:missing"',
+        line: 2,
+        column: 3,
+        file: "broken.tpl",
+        excerpt: "2 |   $name = name <- @missing\n  |   ^",
+      },
+    ]
+  );
+});
+
+test("cyclic imports are reported with the chain", () => {
+  const resolver = createTeam({
+    "a.tpl": `#data\n#import "b.tpl" as b`,
+    "b.tpl": `#data\n#import "a.tpl" as a`,
+  });
+  assert.throws(
+    () => resolver.compile(`#data\n#import "a.tpl" as a\n#view(main)\n`),
+    {
+      code: ERROR_CODES.IMPORT_CYCLE,
+      message: /^cyclic import "a.tpl" -> "b.tpl" -> "a.tpl"/,
+    }
+  );
+});
+
+test("wrong imports are reported", () => {
+  const resolver = createTeam({ "oncall.tpl": ONCALL });
+  for (const [line, code] of [
+    ['#import "missing.tpl" as team', ERROR_CODES.IMPORT_NOT_FOUND],
+    ["#import oncall.tpl", ERROR_CODES.INVALID_IMPORT],
+    [
+      '#import "oncall.tpl" as team\n#import "oncall.tpl" as team',
+      ERROR_CODES.IMPORT_CONFLICT,
+    ],
+  ]) {
+    assert.throws(
+      () => resolver.compile(`#data\n${line}\n#view(main)\n`),
+      { code },
+      line
+    );
+  }
+  assert.throws(
+    () =>
+      createResolver().compile(
+        `#data\n#import "oncall.tpl" as team\n#view(main)\n`
+      ),
+    { code: ERROR_CODES.IMPORT_LOADER, line: 2, column: 1 }
+  );
+});
+
+test("the file loader resolves the imports relative to the importer", async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "templater-import-"));
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, "shared"));
+  fs.writeFileSync(
+    path.join(root, "shared", "team.tpl"),
+    `#data\n#import "oncall.tpl" as oncall`
+  );
+  fs.writeFileSync(path.join(root, "shared", "oncall.tpl"), ONCALL);
+
+  const resolver = createResolver({ loader: createFileLoader(root) });
+  resolver.registService("OnCall", (records) =>
+    records.map(() => ({ name: "Ann" }))
+  );
+  const views = await resolver
+    .compile(
+      `#data
+#import "shared/team.tpl" as team
+#view(main)
+{{team:oncall:name}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "Ann" });
+});
+
+test("a cached template is compiled again when its imports change", async () => {
+  const files = { "oncall.tpl": ONCALL };
+  const resolver = createTeam(files);
+  const template = `#data
+#import "oncall.tpl" as team
+#view(main)
+{{team:name}}`;
+  const compiled = resolver.compile(template);
+  assert.equal(resolver.compile(template), compiled);
+
+  files["oncall.tpl"] = `#data
+  $name = 'Bob'`;
+  const recompiled = resolver.compile(template);
+  assert.notEqual(recompiled, compiled);
+  assert.deepEqual(await recompiled.render(["main"]), { main: "Bob" });
+});
+
+test("errors of a deserialized template point into its imports", () => {
+  const resolver = createTeam({ "oncall.tpl": ONCALL });
+  const serialized = JSON.parse(
+    JSON.stringify(
+      resolver
+        .compile(
+          `#data
+#import "oncall.tpl" as team
+#view(main)
+{{team:name}}`
+        )
+        .serialize()
+    )
+  );
+  assert.throws(() => createResolver().deserialize(serialized), {
+    code: ERROR_CODES.SERVICE_NOT_IMPLEMENTED,
+    file: "oncall.tpl",
+    excerpt: "2 |   @oncall = OnCall\n  |   ^",
+  });
+});
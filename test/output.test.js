@@ -0,0 +1,143 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+/**
+ * Resolver with the `Incident` service declaring its output.
+ *
+ * @param { Record<string, import('../src/types').ResolverAvailableTypes> } incident returned record
+ * @param { { required?: boolean } } [options]
+ */
+function createIncidents(incident, options) {
+  const resolver = createResolver();
+  resolver.registService(
+    "Incident",
+    (records) => records.map(() => incident),
+    {},
+    {
+      ...options,
+      output: {
+        title: ["string"],
+        tags: ["string[]"],
+        assignee: { name: ["string"], email: ["string"] },
+      },
+    }
+  );
+  return resolver;
+}
+
+/** @param { string } declarations */
+const incidentTemplate = (declarations) => `#data
+  @incident = Incident
+${declarations}
+#view(main)
+`;
+
+test("fields the service does not provide are rejected at compile", () => {
+  const resolver = createIncidents({});
+  assert.throws(
+    () => resolver.compile(incidentTemplate("  $tags = tgas <- @incident")),
+    {
+      code: ERROR_CODES.UNKNOWN_FIELD,
+      reason:
+        'variable "$tags" refers to field "tgas" which service "Incident" does not provide',
+      line: 3,
+    }
+  );
+  assert.throws(
+    () =>
+      resolver.compile(
+        incidentTemplate("  $phone = assignee.phone <- @incident")
+      ),
+    { code: ERROR_CODES.UNKNOWN_FIELD }
+  );
+});
+
+test("the declared fields are rendered, missing ones are allowed", async () => {
+  const resolver = createIncidents({
+    title: "Disk full",
+    assignee: { name: "Ann" },
+  });
+  const views = await resolver
+    .compile(
+      `#data
+  @incident = Incident
+  $title = title <- @incident
+  $name = assignee.name <- @incident
+  $email = assignee.email <- @incident ?? 'nobody'
+#view(main)
+{{title}}: {{name}} <{{email}}>`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "Disk full: Ann <nobody>" });
+});
+
+test("any field is allowed when the service declares no output", async () => {
+  const resolver = createResolver();
+  resolver.registService("Incident", (records) =>
+    records.map(() => ({ title: "Disk full" }))
+  );
+  const views = await resolver
+    .compile(
+      `#data
+  @incident = Incident
+  $tags = tgas <- @incident ?? 'none'
+#view(main)
+{{tags}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "none" });
+});
+
+test("a result not matching the output model fails the service", async () => {
+  const resolver = createIncidents({ title: "Disk full", tags: "db" });
+  resolver.registService("Runbook", (records) =>
+    records.map(() => ({ url: "https://runbooks/db" }))
+  );
+  const compiled = resolver.compile(`#data
+  @incident = Incident
+  $title = title <- @incident ?? 'unknown'
+  $tags = tags <- @incident
+  @runbook = Runbook { tags = $tags; }
+  $runbook = url <- @runbook ?? 'none'
+#view(main)
+{{title}} ({{runbook}})`);
+  const { views, report } = await compiled.renderWithReport(["main"]);
+  assert.deepEqual(views, { main: "unknown (none)" });
+  assert.deepEqual(
+    report.services.map(({ key, status, skippedBy }) => ({
+      key,
+      status,
+      skippedBy,
+    })),
+    [
+      { key: "incident", status: "failed", skippedBy: undefined },
+      { key: "runbook", status: "skipped", skippedBy: "incident" },
+    ]
+  );
+  assert.equal(
+    /** @type { any } */ (report.services[0].error).message,
+    'field Incident.tags of the result does not match types - "string[]"'
+  );
+});
+
+test("a required service with a mismatching result fails the render", async () => {
+  const resolver = createIncidents({ title: 42 }, { required: true });
+  await assert.rejects(
+    resolver
+      .compile(
+        `#data
+  @incident = Incident
+  $title = title <- @incident ?? 'unknown'
+#view(main)
+{{title}}`
+      )
+      .render(["main"]),
+    {
+      code: ERROR_CODES.SERVICE_FAILED,
+      service: "incident",
+      message:
+        'service "@incident" (Incident) failed - field Incident.title of the result does not match types - "string"',
+    }
+  );
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createResolver,
+  parser,
+  TemplaterError,
+  ERROR_CODES,
+} = require("../src/templater");
+
+test("an error carries its code, position and source excerpt", () => {
+  assert.throws(
+    () =>
+      createResolver().compile(`#data
+  $title = 'x'
+  $Bad = 'y'
+#view(main)
+{{title}}`),
+    (/** @type { any } */ error) => {
+      assert.ok(error instanceof TemplaterError);
+      assert.equal(error.code, ERROR_CODES.INVALID_IDENTIFIER);
+      assert.equal(error.line, 3);
+      assert.equal(error.column, 3);
+      assert.equal(error.excerpt, "3 |   $Bad = 'y'\n  |   ^");
+      assert.match(
+        error.message,
+        /^invalid variable name "\$Bad" \(line 3, column 3\)/
+      );
+      return true;
+    }
+  );
+});
+
+test("a continued line is reported where it starts in the template", () => {
+  assert.throws(
+    () =>
+      createResolver().compile(`#data
+  $name = 'x'
+  $title = upper(\\
+    $name
+#view(main)
+{{title}}`),
+    { code: ERROR_CODES.INVALID_VARIABLE, line: 3, column: 12 }
+  );
+});
+
+test("collected errors of the #data and #view regions are reported together", () => {
+  assert.throws(
+    () =>
+      parser(
+        `#data
+  $Bad = 'x'
+  $Worse = 'y'
+#view(main)
+{{/if}}`,
+        { collectErrors: true }
+      ),
+    (
+      /** @type { import('../src/diagnostics').TemplaterDiagnosticsError } */ error
+    ) => {
+      assert.equal(error.name, "TemplaterDiagnosticsError");
+      assert.equal(error.code, ERROR_CODES.MULTIPLE_ERRORS);
+      assert.deepEqual(
+        error.errors.map(({ code, line, column }) => [code, line, column]),
+        [
+          [ERROR_CODES.INVALID_IDENTIFIER, 2, 3],
+          [ERROR_CODES.INVALID_IDENTIFIER, 3, 3],
+          [ERROR_CODES.INVALID_PLACEHOLDER, 5, 1],
+        ]
+      );
+      return true;
+    }
+  );
+});
+
+test("without collecting the first error is thrown", () => {
+  assert.throws(
+    () => parser("#data\n  $Bad = 'x'\n  $Worse = 'y'\n#view(main)\n{{a}}"),
+    { code: ERROR_CODES.INVALID_IDENTIFIER, line: 2 }
+  );
+});
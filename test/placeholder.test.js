@@ -0,0 +1,119 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+/**
+ * Renders the view with the arguments of a ticket.
+ *
+ * @param { string } view
+ * @param { ReturnType<typeof createResolver> } [resolver]
+ */
+async function renderTicket(view, resolver = createResolver()) {
+  const { main } = await resolver
+    .compile(
+      `#args
+  title: string
+  tags: string[]
+  opened: string
+#data
+#view(main)
+${view}`
+    )
+    .render(["main"], {
+      args: {
+        title: "  printer on fire ",
+        tags: ["hardware", "urgent"],
+        opened: "2024-03-05T07:08:09Z",
+      },
+    });
+  return main;
+}
+
+test("filters are applied from left to right with their arguments", async () => {
+  assert.equal(
+    await renderTicket(
+      `{{ title | trim | capitalize }} [{{tags | join(" / ") | upper}}]`
+    ),
+    "Printer on fire [HARDWARE / URGENT]"
+  );
+  assert.equal(
+    await renderTicket(`{{title | trim | truncate(7, "~")}} {{tags | last}}`),
+    "printer~ urgent"
+  );
+  assert.equal(
+    await renderTicket(`{{opened | date("DD.MM.YYYY HH:mm")}}`),
+    "05.03.2024 07:08"
+  );
+});
+
+test("the date filter formats epoch milliseconds", async () => {
+  const resolver = createResolver();
+  resolver.registService("Ticket", (records) =>
+    records.map(() => ({ opened: Date.UTC(2024, 2, 5, 7, 8, 9) }))
+  );
+  const views = await resolver
+    .compile(
+      `#data
+  @ticket = Ticket
+  $opened = opened <- @ticket
+#view(main)
+{{opened | date("YYYY-MM-DD HH:mm:ss")}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "2024-03-05 07:08:09" });
+});
+
+test("registered filters are called like the built-in ones", async () => {
+  const resolver = createResolver();
+  resolver.registFilter("hashtags", (value, prefix = "#") =>
+    value.map((/** @type { string } */ tag) => `${prefix}${tag}`).join(" ")
+  );
+  assert.equal(
+    await renderTicket(
+      "{{tags | hashtags}} {{tags | hashtags('@')}}",
+      resolver
+    ),
+    "#hardware #urgent @hardware @urgent"
+  );
+  assert.throws(() => resolver.registFilter("Bad-Name", (value) => value), {
+    code: ERROR_CODES.FILTER_NAME,
+  });
+  await assert.rejects(renderTicket("{{title | shout}}", resolver), {
+    code: ERROR_CODES.UNKNOWN_FILTER,
+  });
+});
+
+test("missing values render as nothing", async () => {
+  const resolver = createResolver();
+  resolver.registService("Assignee", () => {
+    throw new Error("directory is down");
+  });
+  const views = await resolver
+    .compile(
+      `#data
+  @assignee = Assignee
+  $assignee = name <- @assignee
+  $team = team.name <- @assignee
+#view(main)
+[{{assignee}}] [{{{team}}}] [{{assignee.missing}}] [{{assignee | default("nobody")}}]`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "[] [] [] [nobody]" });
+});
+
+test("braces that do not hold a placeholder are kept as text", async () => {
+  assert.equal(
+    await renderTicket(
+      `{{ Not A Var }} {{"k":1}} {{> partial}} {{tags | first}}`
+    ),
+    `{{ Not A Var }} {{"k":1}} {{> partial}} hardware`
+  );
+  assert.equal(await renderTicket("{{{ raw text }}}"), "{{{ raw text }}}");
+});
+
+test("an escaped opening is a literal one", async () => {
+  assert.equal(
+    await renderTicket("\\{{tags}} {{tags | length}} \\{{{tags}}}"),
+    "{{tags}} 2 {{{tags}}}"
+  );
+});
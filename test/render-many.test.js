@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const GREETING = `#args
+  user: string
+#data
+  @user = User { id = $user; }
+  $name = name <- @user
+#view(main)
+Hello {{name}}`;
+
+const RECIPIENTS = ["ann", "bob", "ann"].map((user) => ({ args: { user } }));
+
+/**
+ * Resolver whose `User` service keeps the ids of every call.
+ *
+ * @param { { window?: number } } [coalesce]
+ */
+function createUsers(coalesce) {
+  /** @type { string[][] } */
+  const calls = [];
+  const resolver = createResolver({ coalesce });
+  resolver.registService(
+    "User",
+    (records) => {
+      calls.push(records.map(({ id }) => String(id)));
+      return records.map(({ id }) => ({ name: String(id).toUpperCase() }));
+    },
+    { id: ["string"] }
+  );
+  return { resolver, calls };
+}
+
+/**
+ * @param { import('../src/templater').RenderManyResult[] } results
+ */
+function greetings(results) {
+  return results.map((result) =>
+    result.status === "fulfilled"
+      ? result.views.main
+      : /** @type { any } */ (result.error).code
+  );
+}
+
+test("the recipients rendered together share one call", async () => {
+  const { resolver, calls } = createUsers();
+  const results = await resolver.renderMany(GREETING, ["main"], RECIPIENTS);
+  assert.deepEqual(greetings(results), ["Hello ANN", "Hello BOB", "Hello ANN"]);
+  assert.deepEqual(calls, [["ann", "bob"]]);
+});
+
+test("a failed context does not fail the others", async () => {
+  const { resolver } = createUsers();
+  const results = await resolver
+    .compile(GREETING)
+    .renderMany(["main"], [{ args: { user: "ann" } }, { args: {} }]);
+  assert.deepEqual(greetings(results), [
+    "Hello ANN",
+    ERROR_CODES.ARGUMENT_MISSING,
+  ]);
+});
+
+test("no more contexts are rendered at once than the concurrency", async () => {
+  const { resolver, calls } = createUsers();
+  const compiled = resolver.compile(GREETING);
+  const results = await compiled.renderMany(["main"], RECIPIENTS, {
+    concurrency: 1,
+  });
+  assert.equal(results.length, 3);
+  assert.deepEqual(calls, [["ann"], ["bob"], ["ann"]]);
+
+  for (const concurrency of [NaN, 0, -1, 1.5]) {
+    await assert.rejects(
+      compiled.renderMany(["main"], RECIPIENTS, { concurrency }),
+      { code: ERROR_CODES.INVALID_CONCURRENCY }
+    );
+  }
+});
+
+test("the calls wait for the coalesce window of the resolver", async () => {
+  const { resolver, calls } = createUsers({ window: 50 });
+  const startedAt = Date.now();
+  const results = await resolver
+    .compile(GREETING)
+    .renderMany(["main"], RECIPIENTS);
+  assert.ok(Date.now() - startedAt >= 45);
+  assert.deepEqual(calls, [["ann", "bob"]]);
+  assert.deepEqual(greetings(results), ["Hello ANN", "Hello BOB", "Hello ANN"]);
+});
@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const COMMENT = `#args
+  author: string
+  body: string
+#data
+#view(subject)
+New comment by {{author}}
+#view(email)[html]
+<p>{{author}} wrote:</p><blockquote>{{{body}}}</blockquote><p>{{body}}</p>
+#view(chat)[markdown]
+**{{author}}**: {{body}}
+#view(sms)[sms]
+{{author}}: {{body}}`;
+
+const args = { author: "Tom & Jerry", body: "<b>1*2</b>" };
+
+function createSmsResolver() {
+  const resolver = createResolver();
+  resolver.registRenderer("sms", ({ interpolate }) => interpolate());
+  return resolver;
+}
+
+/** @param { string[] } views @param { ReturnType<typeof createResolver> } [resolver] */
+async function renderComment(views, resolver = createSmsResolver()) {
+  return resolver.compile(COMMENT).render(views, { args });
+}
+
+test("the html renderer escapes all but the raw placeholders", async () => {
+  const { email } = await renderComment(["email"]);
+  assert.equal(
+    email,
+    "<p>Tom &amp; Jerry wrote:</p><blockquote><b>1*2</b></blockquote><p>&lt;b&gt;1*2&lt;/b&gt;</p>"
+  );
+});
+
+test("the markdown renderer escapes the markdown syntax", async () => {
+  const { chat } = await renderComment(["chat"]);
+  assert.equal(chat, "**Tom & Jerry**: \\<b\\>1\\*2\\</b\\>");
+});
+
+test("views without a tag are rendered as text", async () => {
+  const { subject } = await renderComment(["subject"]);
+  assert.equal(subject, "New comment by Tom & Jerry");
+});
+
+test("the tag of the view picks a registered renderer", async () => {
+  const resolver = createResolver();
+  resolver.registRenderer("sms", ({ interpolate }) =>
+    interpolate((value) => value.toUpperCase()).slice(0, 16)
+  );
+  const { sms } = await renderComment(["sms"], resolver);
+  assert.equal(sms, "TOM & JERRY: <B>");
+});
+
+test("unknown tags and invalid renderer names are rejected", () => {
+  assert.throws(() => createResolver().compile(COMMENT), {
+    code: ERROR_CODES.UNKNOWN_RENDERER,
+  });
+  assert.throws(() => createResolver().registRenderer("Plain Text", () => ""), {
+    code: ERROR_CODES.RENDERER_NAME,
+  });
+});
@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const NOTIFICATION = `#data
+  $incident_id = 'INC-1'
+  @incident = Incident { id = $incident_id; }
+  $title = title <- @incident
+  $owner_id = owner <- @incident
+  @owner = Owner { id = $owner_id; }
+  $owner = name <- @owner
+#view(main)
+{{title}} [{{owner}}]`;
+
+/**
+ * @param { object } [props]
+ * @param { { required?: boolean } } [props.incident] options of the incident service
+ * @param { "continue" | "fail" } [props.failurePolicy]
+ */
+function createNotifier({ incident = {}, failurePolicy } = {}) {
+  const resolver = createResolver({ failurePolicy });
+  resolver.registService(
+    "Incident",
+    () => {
+      throw new Error("incident service is down");
+    },
+    {},
+    incident
+  );
+  resolver.registService("Owner", (records) =>
+    records.map(() => ({ name: "Ada" }))
+  );
+  return resolver.compile(NOTIFICATION);
+}
+
+test("the render continues without the failed service by default", async () => {
+  const { views, report } = await createNotifier().renderWithReport(["main"]);
+  assert.deepEqual(views, { main: " []" });
+  assert.equal(report.status, "degraded");
+
+  const [incident, owner] = report.services;
+  assert.equal(incident.status, "failed");
+  assert.equal(
+    /** @type { Error } */ (incident.error).message,
+    "incident service is down"
+  );
+  assert.deepEqual(incident.args, { id: "INC-1" });
+  assert.equal(typeof incident.duration, "number");
+  assert.deepEqual(incident.skipped, ["owner"]);
+  assert.equal(owner.status, "skipped");
+  assert.equal(owner.skippedBy, "incident");
+});
+
+test("the fail policy rejects the render with the report", async () => {
+  /** @param { unknown } error */
+  const isIncidentFailure = (error) => {
+    const { code, service, report } = /** @type { any } */ (error);
+    assert.equal(code, ERROR_CODES.SERVICE_FAILED);
+    assert.equal(service, "incident");
+    assert.deepEqual(
+      report.map((/** @type { any } */ { key, status }) => `${key}:${status}`),
+      ["incident:failed", "owner:skipped"]
+    );
+    return true;
+  };
+  await assert.rejects(
+    createNotifier({ failurePolicy: "fail" }).render(["main"]),
+    isIncidentFailure
+  );
+  await assert.rejects(
+    createNotifier().render(["main"], { failurePolicy: "fail" }),
+    isIncidentFailure
+  );
+});
+
+test("a required service fails the render under the continue policy", async () => {
+  await assert.rejects(
+    createNotifier({ incident: { required: true } }).render(["main"]),
+    {
+      name: "TemplaterServiceError",
+      message:
+        'service "@incident" (Incident) failed - incident service is down',
+    }
+  );
+});
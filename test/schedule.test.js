@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const { deferred } = require("./helpers");
+
+test("a service starts once its own inputs are resolved", async () => {
+  const resolver = createResolver();
+  const slow = deferred();
+  const profileCalled = deferred();
+  resolver.registService("Attachments", async (records) => {
+    await slow.promise;
+    return records.map(() => ({ count: "3" }));
+  });
+  resolver.registService("Author", (records) =>
+    records.map(() => ({ login: "ada" }))
+  );
+  resolver.registService("Profile", (records) => {
+    profileCalled.resolve(undefined);
+    return records.map(({ login }) => ({ bio: `${login} writes code` }));
+  });
+
+  const rendering = resolver
+    .compile(
+      `#data
+  @attachments = Attachments
+  $attachments = count <- @attachments
+  @author = Author
+  $login = login <- @author
+  @profile = Profile { login = $login; }
+  $bio = bio <- @profile
+#view(main)
+{{bio}} ({{attachments}} files)`
+    )
+    .render(["main"]);
+
+  // the profile does not wait for the unrelated slow attachments
+  await profileCalled.promise;
+  slow.resolve(undefined);
+  assert.deepEqual(await rendering, { main: "ada writes code (3 files)" });
+});
+
+test("services of one provider ready together share a call", async () => {
+  const resolver = createResolver();
+  /** @type { string[][] } */
+  const batches = [];
+  resolver.registService("Person", (records) => {
+    batches.push(records.map(({ id }) => String(id)));
+    return records.map(({ id }) => ({ name: `person ${id}`, manager: "m" }));
+  });
+  const views = await resolver
+    .compile(
+      `#data
+  $reporter_id = 'r'
+  $assignee_id = 'a'
+  @reporter = Person { id = $reporter_id; }
+  @assignee = Person { id = $assignee_id; }
+  $reporter = name <- @reporter
+  $assignee = name <- @assignee
+  $manager_id = manager <- @assignee
+  @manager = Person { id = $manager_id; }
+  $manager = name <- @manager
+#view(main)
+{{reporter}} -> {{assignee}} -> {{manager}}`
+    )
+    .render(["main"]);
+
+  assert.deepEqual(views, { main: "person r -> person a -> person m" });
+  assert.deepEqual(batches, [["r", "a"], ["m"]]);
+});
+
+test("dependency cycles are rejected with their path", () => {
+  const resolver = createResolver();
+  resolver.registService("Node", (records) => records);
+  assert.throws(
+    () =>
+      resolver.compile(`#data
+  @parent = Node { id = $child; }
+  $parent = id <- @parent
+  @child = Node { id = $parent; }
+  $child = id <- @child
+#view(main)
+{{parent}}`),
+    {
+      code: ERROR_CODES.DEPENDENCY_CYCLE,
+      line: 2,
+      message: /^services depend on each other - @parent -> @child -> @parent/,
+    }
+  );
+});
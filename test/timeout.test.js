@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+
+const WEATHER = `#data
+  @weather = Weather
+  $forecast = forecast <- @weather ?? 'unknown'
+#view(main)
+{{forecast}}`;
+
+test("failed calls are retried after the backoff", async () => {
+  const resolver = createResolver();
+  /** @type { number[] } */
+  const attemptedAt = [];
+  resolver.registService(
+    "Weather",
+    (records) => {
+      attemptedAt.push(Date.now());
+      if (attemptedAt.length < 3) {
+        throw new Error("503");
+      }
+      return records.map(() => ({ forecast: "sunny" }));
+    },
+    {},
+    { retries: 3, backoff: 10 }
+  );
+  const { views, report } = await resolver
+    .compile(WEATHER)
+    .renderWithReport(["main"]);
+  assert.deepEqual(views, { main: "sunny" });
+  assert.equal(report.services[0].attempts, 3);
+  // the backoff is doubled after every attempt
+  assert.ok(attemptedAt[2] - attemptedAt[1] >= 15);
+});
+
+test("errors which are not retryable fail at once", async () => {
+  const resolver = createResolver();
+  let attempts = 0;
+  resolver.registService(
+    "Weather",
+    () => {
+      ++attempts;
+      throw new Error("400");
+    },
+    {},
+    {
+      retries: 3,
+      retryable: (error) => /** @type { Error } */ (error).message !== "400",
+    }
+  );
+  const { views } = await resolver.compile(WEATHER).renderWithReport(["main"]);
+  assert.deepEqual(views, { main: "unknown" });
+  assert.equal(attempts, 1);
+});
+
+test("a call longer than the timeout fails and is aborted", async () => {
+  const resolver = createResolver();
+  /** @type { AbortSignal[] } */
+  const signals = [];
+  resolver.registService(
+    "Weather",
+    (records, { signal }) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    },
+    {},
+    { timeout: 20 }
+  );
+  const { views, report } = await resolver
+    .compile(WEATHER)
+    .renderWithReport(["main"]);
+  assert.deepEqual(views, { main: "unknown" });
+  assert.equal(
+    /** @type { any } */ (report.services[0].error).code,
+    ERROR_CODES.SERVICE_TIMEOUT
+  );
+  assert.equal(signals[0].aborted, true);
+});
+
+test("aborting the render aborts its pending calls", async () => {
+  const resolver = createResolver();
+  const controller = new AbortController();
+  /** @type { AbortSignal[] } */
+  const signals = [];
+  resolver.registService("Weather", (records, { signal }) => {
+    signals.push(signal);
+    setTimeout(() => controller.abort(), 5);
+    return new Promise(() => {});
+  });
+  const { views, report } = await resolver
+    .compile(WEATHER)
+    .renderWithReport(["main"], { signal: controller.signal });
+  assert.deepEqual(views, { main: "unknown" });
+  assert.equal(
+    /** @type { any } */ (report.services[0].error).code,
+    ERROR_CODES.SERVICE_ABORTED
+  );
+  assert.equal(signals[0].aborted, true);
+});
@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResolver, ERROR_CODES } = require("../src/templater");
+const { resolverWith } = require("./helpers");
+
+const INCIDENT = {
+  assignee: { name: "Ann", email: "ann@example.com" },
+  severity: 2,
+  acknowledged: false,
+  tags: ["db", "eu"],
+};
+
+test("dot-paths read the nested fields in the data and the views", async () => {
+  const resolver = resolverWith({ Incident: () => INCIDENT });
+  const views = await resolver
+    .compile(
+      `#data
+  @incident = Incident
+  $email = assignee.email <- @incident
+  $assignee = assignee <- @incident
+#view(main)
+{{assignee.name}} <{{email}}> {{assignee.phone}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "Ann <ann@example.com> " });
+});
+
+test("numbers and booleans are passed to the services as they are", async () => {
+  /** @type { import('./helpers').ResolverArgs[] } */
+  const pages = [];
+  const resolver = createResolver();
+  resolver.registService("Incident", (records) => records.map(() => INCIDENT));
+  resolver.registService(
+    "Page",
+    (records) => {
+      pages.push(...records);
+      return records.map(() => ({ sent: true }));
+    },
+    {
+      severity: ["number"],
+      acknowledged: ["boolean"],
+      assignee: ["object"],
+      targets: ["string", "string[]"],
+    }
+  );
+  const views = await resolver
+    .compile(
+      `#data
+  @incident = Incident
+  $severity = severity <- @incident
+  $acknowledged = acknowledged <- @incident
+  $assignee = assignee <- @incident
+  $tags = tags <- @incident
+  @page = Page { severity = $severity; acknowledged = $acknowledged; \\
+    assignee = $assignee; targets = $tags; }
+  $sent = sent <- @page
+#view(main)
+{{severity}} {{acknowledged}} {{sent}}`
+    )
+    .render(["main"]);
+  assert.deepEqual(views, { main: "2 false true" });
+  assert.deepEqual(pages, [
+    {
+      severity: 2,
+      acknowledged: false,
+      assignee: INCIDENT.assignee,
+      targets: ["db", "eu"],
+    },
+  ]);
+});
+
+test("a field declared with several types accepts each of them", async () => {
+  const resolver = createResolver();
+  resolver.registService(
+    "Notify",
+    (records) => records.map(({ to }) => ({ to: String(to) })),
+    { to: ["string", "string[]"] }
+  );
+  const compiled = resolver.compile(`#args
+  to?: string
+  cc?: string[]
+#data
+  @one = Notify { to = $to; }
+  @many = Notify { to = $cc; }
+  $one = to <- @one
+  $many = to <- @many
+#view(main)
+{{one}} / {{many}}`);
+  assert.deepEqual(
+    await compiled.render(["main"], {
+      args: { to: "ann", cc: ["bob", "eve"] },
+    }),
+    { main: "ann / bob,eve" }
+  );
+});
+
+test("values of the wrong type are rejected by the argument model", async () => {
+  const resolver = createResolver();
+  resolver.registService("Incident", (records) =>
+    records.map(() => ({ severity: "high" }))
+  );
+  resolver.registService("Page", (records) => records.map(() => ({})), {
+    severity: ["number"],
+  });
+  const compiled = resolver.compile(`#data
+  @incident = Incident
+  $severity = severity <- @incident
+  @page = Page { severity = $severity; }
+  $sent = sent <- @page
+#view(main)
+{{sent}}`);
+  await assert.rejects(compiled.render(["main"]), {
+    code: ERROR_CODES.SERVICE_ARGUMENT_TYPE,
+    message: /Page\.severity/,
+  });
+});